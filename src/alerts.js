@@ -0,0 +1,292 @@
+import { execFile } from 'child_process';
+
+import { formatSize } from './format.js';
+
+// Threshold alerting. Rules look at one snapshot at a time and report the
+// conditions that currently hold; the monitor turns those into alerts once a
+// condition has held for the rule's `forMs`, and clears them once it has been
+// gone for `clearMs`. Time is the snapshot's own `t`, so a recording (or a
+// synthetic sequence in a test) alerts exactly as the live machine did.
+
+export const DEFAULT_THRESHOLDS = {
+  // Share of a GPU's totalBytes allocated before it counts as nearly full.
+  gpuMemoryPct: 90,
+  // Same cut-off the header's swap warning uses: below ~1 MB/s is the kernel
+  // trickling idle pages out.
+  swapBytesPerSec: 1024 * 1024
+};
+
+// Percentage points a GPU has to drop below its threshold before a memory
+// alert clears, so an allocation hovering at the line doesn't flap.
+const GPU_MEMORY_CLEAR_MARGIN = 5;
+
+// An engine that stays gone this long was most likely stopped on purpose, so
+// its alert is dropped without announcing it as resolved.
+const ENGINE_GONE_HOLD_MS = 5 * 60_000;
+
+const shortHost = (host) => host.replace(/^https?:\/\//, '');
+
+// Server engines are identified by what a client connects to, so a restart
+// under a new pid reads as the same engine coming back. llama-cli has no
+// port and exits whenever a run finishes, which is not worth an alert.
+function engineIdentity(engine) {
+  if (engine.kind === 'ollama') return 'ollama';
+  if (engine.endpoint) return `${engine.kind}:${engine.endpoint}`;
+  return engine.port === null || engine.port === undefined ? null : `${engine.kind}:${engine.port}`;
+}
+
+// A configured llama-server has no process here, only the address it was
+// given.
+function engineName(engine) {
+  if (engine.endpoint) return `${engine.kind} at ${shortHost(engine.endpoint)}`;
+  return engine.kind === 'ollama' ? `ollama (pid ${engine.pid})` : `${engine.kind} on :${engine.port} (pid ${engine.pid})`;
+}
+
+// The thresholds in effect once the config's `alerts` section (see
+// createAlertRules) is applied, for the header to warn at the same level.
+export function alertThresholds(overrides = {}) {
+  return {
+    gpuMemoryPct: overrides['gpu-memory']?.threshold ?? DEFAULT_THRESHOLDS.gpuMemoryPct,
+    swapBytesPerSec: overrides['swap-growing']?.threshold ?? DEFAULT_THRESHOLDS.swapBytesPerSec
+  };
+}
+
+// Builds the rule set. Each rule's `conditions(snapshot, firing)` returns
+// `{ key, message }` for everything wrong right now; `firing(key)` tells a
+// rule whether that condition is already alerting, for rules that clear at a
+// lower level than they fire. A rule's optional `expired(key)` says a
+// condition it stopped reporting was given up on rather than fixed. Some
+// rules remember earlier snapshots, so a rule set belongs to one monitor.
+//
+// `overrides` is the config's `alerts` section: by rule id, a `forMs` and
+// `clearMs` to replace the rule's own, and for gpu-memory and swap-growing a
+// `threshold` in percent or bytes per second.
+export function createAlertRules(overrides = {}) {
+  const thresholds = alertThresholds(overrides);
+  const enginesSeen = new Map();
+  const enginesExpired = new Set();
+  const hostsSeenUp = new Set();
+
+  const rules = [
+    {
+      id: 'gpu-memory',
+      forMs: 10_000,
+      clearMs: 10_000,
+      conditions(snapshot, firing) {
+        const gpus = snapshot.gpus ?? [];
+        return gpus.flatMap((gpu) => {
+          if (!gpu.totalBytes || typeof gpu.allocBytes !== 'number') return [];
+          const key = String(gpu.index);
+          const pct = (gpu.allocBytes / gpu.totalBytes) * 100;
+          const limit = thresholds.gpuMemoryPct - (firing(key) ? GPU_MEMORY_CLEAR_MARGIN : 0);
+          if (pct <= limit) return [];
+          const label = gpus.length === 1 ? 'GPU' : `GPU${gpu.index}`;
+          return [{ key, message: `${label} memory ${Math.round(pct)}% of ${formatSize(gpu.totalBytes)}` }];
+        });
+      }
+    },
+    {
+      // Without a GPU every model runs on the CPU, and that is not news.
+      id: 'model-spilled',
+      forMs: 5_000,
+      clearMs: 5_000,
+      conditions(snapshot) {
+        if (!snapshot.gpus?.length) return [];
+        const hosts = snapshot.ollamaHosts ?? [snapshot.ollama];
+        return hosts.flatMap((state) =>
+          state.loaded
+            .filter((model) => typeof model.gpuPct === 'number' && model.gpuPct < 100)
+            .map((model) => ({
+              key: `${state.host} ${model.name}`,
+              message:
+                `${model.name}${hosts.length > 1 ? ` on ${shortHost(state.host)}` : ''} ` +
+                `spilled to CPU: ${model.gpuPct}% on GPU`
+            }))
+        );
+      }
+    },
+    {
+      // A restart that is over within a couple of seconds is not an outage.
+      id: 'engine-gone',
+      forMs: 2_000,
+      clearMs: 0,
+      conditions(snapshot) {
+        const now = snapshot.t;
+        enginesExpired.clear();
+        const present = new Set();
+        for (const engine of snapshot.engines ?? []) {
+          const identity = engineIdentity(engine);
+          if (identity === null) continue;
+          present.add(identity);
+          enginesSeen.set(identity, { name: engineName(engine), goneAt: null });
+        }
+
+        const gone = [];
+        for (const [identity, seen] of enginesSeen) {
+          if (present.has(identity)) continue;
+          seen.goneAt ??= now;
+          if (now - seen.goneAt >= ENGINE_GONE_HOLD_MS) {
+            enginesSeen.delete(identity);
+            enginesExpired.add(identity);
+            continue;
+          }
+          gone.push({ key: identity, message: `${seen.name} exited` });
+        }
+        return gone;
+      },
+      expired: (key) => enginesExpired.has(key)
+    },
+    {
+      // Only a host that has answered before can become unreachable; one
+      // that never did is just not running, which the models table says.
+      id: 'ollama-down',
+      forMs: 6_000,
+      clearMs: 4_000,
+      conditions(snapshot) {
+        const hosts = snapshot.ollamaHosts ?? [snapshot.ollama];
+        return hosts.flatMap((state) => {
+          if (state.up) hostsSeenUp.add(state.host);
+          if (state.up || !state.error || !hostsSeenUp.has(state.host)) return [];
+          return [{ key: state.host, message: `Ollama unreachable at ${shortHost(state.host)}: ${state.error}` }];
+        });
+      }
+    },
+    {
+      id: 'swap-growing',
+      forMs: 10_000,
+      clearMs: 10_000,
+      conditions(snapshot, firing) {
+        const rate = snapshot.host?.swapRate ?? 0;
+        const limit = firing('host') ? thresholds.swapBytesPerSec / 2 : thresholds.swapBytesPerSec;
+        return rate > limit ? [{ key: 'host', message: `Swap growing ${formatSize(rate)}/s` }] : [];
+      }
+    }
+  ];
+
+  return rules.map((rule) => ({
+    ...rule,
+    forMs: overrides[rule.id]?.forMs ?? rule.forMs,
+    clearMs: overrides[rule.id]?.clearMs ?? rule.clearMs
+  }));
+}
+
+// Tracks every condition across snapshots. evaluate() returns the alerts
+// currently firing plus what started and stopped firing on this snapshot,
+// which is what the sinks announce.
+export function createAlertMonitor({ rules = createAlertRules() } = {}) {
+  let states = new Map();
+  let lastT = null;
+
+  const alertOf = (state) => ({
+    rule: state.rule.id,
+    key: state.key,
+    message: state.message,
+    since: state.since,
+    firedAt: state.firedAt
+  });
+
+  return {
+    evaluate(snapshot) {
+      const now = snapshot.t;
+      // A replay that jumps back in time invalidates every duration.
+      if (lastT !== null && now < lastT) states = new Map();
+      lastT = now;
+
+      const fired = [];
+      const resolved = [];
+      const holding = new Set();
+
+      for (const rule of rules) {
+        const firing = (key) => states.get(`${rule.id}:${key}`)?.firedAt != null;
+        for (const { key, message } of rule.conditions(snapshot, firing)) {
+          const id = `${rule.id}:${key}`;
+          holding.add(id);
+          if (!states.has(id)) states.set(id, { rule, key, since: now, firedAt: null, clearSince: null });
+          const state = states.get(id);
+          state.message = message;
+          state.clearSince = null;
+          if (state.firedAt === null && now - state.since >= rule.forMs) {
+            state.firedAt = now;
+            fired.push(alertOf(state));
+          }
+        }
+      }
+
+      for (const [id, state] of states) {
+        if (holding.has(id)) continue;
+        // A condition that never held long enough to fire, or that its rule
+        // gave up on, just goes away.
+        if (state.firedAt === null || state.rule.expired?.(state.key)) {
+          states.delete(id);
+          continue;
+        }
+        state.clearSince ??= now;
+        if (now - state.clearSince >= state.rule.clearMs) {
+          states.delete(id);
+          resolved.push({ ...alertOf(state), resolvedAt: now });
+        }
+      }
+
+      const active = [...states.values()].filter((state) => state.firedAt !== null).map(alertOf);
+      return { active, fired, resolved };
+    }
+  };
+}
+
+const WEBHOOK_TIMEOUT_MS = 2_000;
+
+// Posts one JSON document per alert event. Meant for a local receiver (a
+// chat bot, Home Assistant, ntfy), so it is fire-and-forget with a short
+// timeout rather than a queue with retries.
+export async function postWebhook(url, event) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`${url} responded ${res.status}`);
+}
+
+const appleScriptString = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Desktop notification through the platform's own command-line tool, so
+// there is no native dependency: osascript on macOS, notify-send elsewhere.
+export function desktopNotify(title, body, { platform = process.platform, run = execFile } = {}) {
+  return new Promise((resolve, reject) => {
+    const done = (error) => (error ? reject(error) : resolve());
+    if (platform === 'darwin') {
+      run('osascript', ['-e', `display notification ${appleScriptString(body)} with title ${appleScriptString(title)}`], done);
+    } else {
+      run('notify-send', ['--app-name=topollama', title, body], done);
+    }
+  });
+}
+
+// The optional sinks beyond the UI's own banner and bell. The webhook hears
+// both events; desktop notifications only announce new alerts, since a
+// stream of "resolved" popups is mostly noise. Failures go to `onError`
+// rather than interrupting the tick that raised the alert.
+export function createAlertSinks({
+  webhook = null,
+  desktop = false,
+  onError = () => {},
+  post = postWebhook,
+  notify = desktopNotify
+} = {}) {
+  return {
+    deliver({ fired, resolved }) {
+      if (webhook) {
+        for (const alert of fired) {
+          post(webhook, { event: 'fired', t: alert.firedAt, ...alert }).catch(onError);
+        }
+        for (const alert of resolved) {
+          post(webhook, { event: 'resolved', t: alert.resolvedAt, ...alert }).catch(onError);
+        }
+      }
+      if (desktop) {
+        for (const alert of fired) notify('topollama', alert.message).catch(onError);
+      }
+    }
+  };
+}
@@ -0,0 +1,250 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { createAlertRules, createAlertMonitor, createAlertSinks } from './alerts.js';
+import { loadConfig } from './config.js';
+
+const T0 = Date.parse('2026-10-19T12:00:00Z');
+const GB = 1_000_000_000;
+const HOST = 'http://127.0.0.1:11434';
+
+// A quiet machine: one GPU at a third full, one model fully on it, Ollama up.
+function snapshot(seconds, { gpu = {}, loaded, ollama = {}, engines, swapRate = 0 } = {}) {
+  const state = {
+    up: true,
+    host: HOST,
+    error: null,
+    loaded: loaded ?? [{ name: 'qwen3:8b', gpuPct: 100 }],
+    ...ollama
+  };
+  return {
+    t: T0 + seconds * 1000,
+    gpus: [{ index: 0, name: 'NVIDIA GeForce RTX 4090', allocBytes: 8 * GB, totalBytes: 24 * GB, ...gpu }],
+    host: { swapRate },
+    ollama: state,
+    ollamaHosts: [state],
+    engines: engines ?? [{ kind: 'ollama', pid: 812, port: 11434 }]
+  };
+}
+
+// Feeds one snapshot per second and returns what each evaluation reported.
+function run(frames, monitor = createAlertMonitor()) {
+  return frames.map((frame) => monitor.evaluate(frame));
+}
+
+const messages = (alerts) => alerts.map((alert) => alert.message);
+
+test('stays quiet on a healthy machine', () => {
+  const results = run([0, 1, 2, 3].map((s) => snapshot(s)));
+  assert.deepEqual(results.at(-1), { active: [], fired: [], resolved: [] });
+});
+
+test('fires a GPU memory alert only once the condition has held for its duration', () => {
+  const full = { allocBytes: 23 * GB };
+  const results = run([0, 5, 9, 10, 11].map((s) => snapshot(s, { gpu: full })));
+
+  assert.deepEqual(results.slice(0, 3).map((r) => r.fired.length), [0, 0, 0]);
+  assert.deepEqual(messages(results[3].fired), ['GPU memory 96% of 24.0 GB']);
+  assert.equal(results[3].fired[0].since, T0);
+  // Fired once, then just stays active.
+  assert.equal(results[4].fired.length, 0);
+  assert.deepEqual(messages(results[4].active), ['GPU memory 96% of 24.0 GB']);
+});
+
+test('a brief spike never fires', () => {
+  const results = run([
+    snapshot(0, { gpu: { allocBytes: 23 * GB } }),
+    snapshot(5, { gpu: { allocBytes: 23 * GB } }),
+    snapshot(6),
+    snapshot(11, { gpu: { allocBytes: 23 * GB } })
+  ]);
+  assert.ok(results.every((r) => r.fired.length === 0));
+});
+
+test('clears a GPU memory alert only below the threshold minus the margin, after its clear duration', () => {
+  const monitor = createAlertMonitor();
+  run([0, 10].map((s) => snapshot(s, { gpu: { allocBytes: 23 * GB } })), monitor);
+
+  // 88% is under the 90% trigger but inside the margin: still alerting.
+  const hovering = monitor.evaluate(snapshot(20, { gpu: { allocBytes: 21.1 * GB } }));
+  assert.equal(hovering.active.length, 1);
+  assert.equal(hovering.resolved.length, 0);
+
+  const [dropped, waiting, cleared] = run([30, 35, 40].map((s) => snapshot(s)), monitor);
+  assert.equal(dropped.active.length, 1);
+  assert.equal(waiting.active.length, 1);
+  assert.deepEqual(messages(cleared.resolved), ['GPU memory 88% of 24.0 GB']);
+  assert.equal(cleared.resolved[0].resolvedAt, T0 + 40_000);
+  assert.deepEqual(cleared.active, []);
+});
+
+test('alerts when a loaded model spills onto the CPU', () => {
+  const spilled = { loaded: [{ name: 'llama3.3:70b', gpuPct: 62 }] };
+  const results = run([0, 5].map((s) => snapshot(s, spilled)));
+  assert.deepEqual(messages(results[1].fired), ['llama3.3:70b spilled to CPU: 62% on GPU']);
+});
+
+test('does not call a CPU-only machine spilled', () => {
+  const cpuOnly = (s) => ({ ...snapshot(s, { loaded: [{ name: 'qwen3:8b', gpuPct: 0 }] }), gpus: [] });
+  assert.ok(run([0, 10].map(cpuOnly)).every((r) => r.fired.length === 0));
+});
+
+test('alerts when an engine pid disappears and resolves when it comes back', () => {
+  const server = { kind: 'llama-server', pid: 4242, port: 8080, model: '/models/qwen.gguf' };
+  const ollama = { kind: 'ollama', pid: 812, port: 11434 };
+  const cli = { kind: 'llama-cli', pid: 5000, port: null };
+  const results = run([
+    snapshot(0, { engines: [ollama, server, cli] }),
+    snapshot(1, { engines: [ollama] }),
+    snapshot(2, { engines: [ollama] }),
+    snapshot(3, { engines: [ollama] }),
+    // Restarted under a new pid.
+    snapshot(4, { engines: [ollama, { ...server, pid: 4300 }] })
+  ]);
+
+  assert.equal(results[2].fired.length, 0);
+  assert.deepEqual(messages(results[3].fired), ['llama-server on :8080 (pid 4242) exited']);
+  assert.deepEqual(messages(results[4].resolved), ['llama-server on :8080 (pid 4242) exited']);
+  // llama-cli exiting is a finished run, not an outage.
+  assert.ok(results.every((r) => r.active.every((alert) => !alert.message.includes('llama-cli'))));
+});
+
+test('drops an engine that stays gone without announcing it resolved', () => {
+  const server = { kind: 'llama-server', pid: 4242, port: 8080 };
+  const ollama = { kind: 'ollama', pid: 812, port: 11434 };
+  const results = run([
+    snapshot(0, { engines: [ollama, server] }),
+    snapshot(1, { engines: [ollama] }),
+    snapshot(3, { engines: [ollama] }),
+    snapshot(200, { engines: [ollama] }),
+    snapshot(301, { engines: [ollama] }),
+    snapshot(302, { engines: [ollama] })
+  ]);
+
+  assert.deepEqual(messages(results[3].active), ['llama-server on :8080 (pid 4242) exited']);
+  assert.ok(results.every((r) => r.resolved.length === 0));
+  assert.deepEqual(results[4].active, []);
+  assert.deepEqual(results[5], { active: [], fired: [], resolved: [] });
+});
+
+test('rides out a restart shorter than the engine-gone duration', () => {
+  const results = run([snapshot(0), snapshot(1, { engines: [] }), snapshot(2)]);
+  assert.ok(results.every((r) => r.fired.length === 0 && r.active.length === 0));
+});
+
+test('alerts when an Ollama host that was up stops answering', () => {
+  const down = { ollama: { up: false, loaded: [], error: 'fetch failed' } };
+  const results = run([
+    snapshot(0),
+    snapshot(2, down),
+    snapshot(6, down),
+    snapshot(8, down),
+    snapshot(10),
+    snapshot(14)
+  ]);
+
+  assert.equal(results[2].fired.length, 0);
+  assert.deepEqual(messages(results[3].fired), ['Ollama unreachable at 127.0.0.1:11434: fetch failed']);
+  assert.equal(results[4].resolved.length, 0);
+  assert.equal(results[5].resolved.length, 1);
+});
+
+test('says nothing about an Ollama host that never answered', () => {
+  const down = { ollama: { up: false, loaded: [], error: 'fetch failed' } };
+  assert.ok(run([0, 10, 20].map((s) => snapshot(s, down))).every((r) => r.fired.length === 0));
+});
+
+test('alerts on sustained swap growth, with a custom threshold', () => {
+  const monitor = createAlertMonitor({ rules: createAlertRules({ 'swap-growing': { threshold: 10_000_000 } }) });
+  const results = run([
+    snapshot(0, { swapRate: 5_000_000 }),
+    snapshot(10, { swapRate: 5_000_000 }),
+    snapshot(20, { swapRate: 12_000_000 }),
+    snapshot(30, { swapRate: 12_000_000 })
+  ], monitor);
+
+  assert.ok(results.slice(0, 3).every((r) => r.fired.length === 0));
+  assert.deepEqual(messages(results[3].fired), ['Swap growing 12.0 MB/s']);
+});
+
+test('takes a rule\'s timing from the overrides', () => {
+  const monitor = createAlertMonitor({ rules: createAlertRules({ 'gpu-memory': { forMs: 0, clearMs: 1000 } }) });
+  const results = run([
+    snapshot(0, { gpu: { allocBytes: 23 * GB } }),
+    snapshot(1),
+    snapshot(2)
+  ], monitor);
+
+  assert.deepEqual(messages(results[0].fired), ['GPU memory 96% of 24.0 GB']);
+  assert.equal(results[1].resolved.length, 0);
+  assert.equal(results[2].resolved.length, 1);
+});
+
+test('alerts at the GPU memory threshold set in the config file', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'topollama-'));
+  mkdirSync(path.join(dir, 'topollama'));
+  writeFileSync(
+    path.join(dir, 'topollama', 'config.json'),
+    JSON.stringify({ alerts: { 'gpu-memory': { threshold: 50, for: '2s' } } })
+  );
+  const config = loadConfig({}, { XDG_CONFIG_HOME: dir });
+
+  // 14 of 24 GB is 58%: fine by default, over the configured 50%.
+  const half = { allocBytes: 14 * GB };
+  const results = run([0, 1, 2].map((s) => snapshot(s, { gpu: half })), createAlertMonitor({
+    rules: createAlertRules(config.alerts)
+  }));
+  assert.deepEqual(messages(results[2].fired), ['GPU memory 58% of 24.0 GB']);
+  assert.ok(run([0, 10, 20].map((s) => snapshot(s, { gpu: half }))).every((r) => r.fired.length === 0));
+});
+
+test('names a configured llama-server by its address', () => {
+  const remote = { kind: 'llama-server', pid: null, port: 8080, endpoint: 'http://gpu-box:8080' };
+  const results = run([0, 1, 2, 3].map((s) => snapshot(s, { engines: s ? [] : [remote] })));
+  assert.deepEqual(messages(results[3].fired), ['llama-server at gpu-box:8080 exited']);
+});
+
+test('starts over when a replay jumps back in time', () => {
+  const monitor = createAlertMonitor();
+  run([0, 10].map((s) => snapshot(s, { gpu: { allocBytes: 23 * GB } })), monitor);
+  const rewound = monitor.evaluate(snapshot(0, { gpu: { allocBytes: 23 * GB } }));
+  assert.deepEqual(rewound, { active: [], fired: [], resolved: [] });
+});
+
+test('posts fired and resolved events to the webhook and notifies the desktop of new alerts', async () => {
+  const posts = [];
+  const notes = [];
+  const sinks = createAlertSinks({
+    webhook: 'http://127.0.0.1:9000/hook',
+    desktop: true,
+    post: async (url, event) => posts.push([url, event]),
+    notify: async (title, body) => notes.push([title, body])
+  });
+  const alert = { rule: 'swap-growing', key: 'host', message: 'Swap growing 12.0 MB/s', since: T0, firedAt: T0 + 10_000 };
+
+  sinks.deliver({ fired: [alert], resolved: [{ ...alert, resolvedAt: T0 + 60_000 }] });
+  await new Promise(setImmediate);
+
+  assert.deepEqual(posts.map(([url, event]) => [url, event.event, event.t]), [
+    ['http://127.0.0.1:9000/hook', 'fired', T0 + 10_000],
+    ['http://127.0.0.1:9000/hook', 'resolved', T0 + 60_000]
+  ]);
+  assert.deepEqual(notes, [['topollama', 'Swap growing 12.0 MB/s']]);
+});
+
+test('reports a sink failure without throwing', async () => {
+  const errors = [];
+  const sinks = createAlertSinks({
+    webhook: 'http://127.0.0.1:9000/hook',
+    onError: (error) => errors.push(error.message),
+    post: async () => {
+      throw new Error('connect ECONNREFUSED');
+    }
+  });
+  sinks.deliver({ fired: [{ rule: 'r', key: 'k', message: 'm', since: T0, firedAt: T0 }], resolved: [] });
+  await new Promise(setImmediate);
+  assert.deepEqual(errors, ['connect ECONNREFUSED']);
+});
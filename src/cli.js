@@ -0,0 +1,186 @@
+import { parseArgs } from 'util';
+
+// Command-line parsing kept apart from the entry point so it can be tested
+// without starting a collector or a terminal UI.
+
+export const USAGE = `Usage: topollama [options]
+       topollama exporter [--listen [host]:port]
+       topollama proxy [--listen [host]:port] [--upstream URL] [options]
+
+Options:
+  --json        Print one JSON snapshot per tick to stdout instead of the UI
+  --once        With --json, print a single snapshot and exit
+  --ollama-host URL
+                Ollama host to poll; repeat for several (default: OLLAMA_HOST)
+  --record FILE Append every snapshot to FILE as NDJSON while running
+  --replay FILE Drive the UI from a recording instead of the live machine
+  --config FILE Read settings from FILE (default ~/.config/topollama/config.json)
+  --tick DURATION
+                How often to sample, e.g. 500ms or 2s (default 1s)
+  --http-interval DURATION
+                How often to poll Ollama and llama-server (default 2s)
+  --static-interval DURATION
+                How often to re-read model lists and /props (default 10s)
+  --history N   Samples kept in the history charts (default 60)
+  --llama-server URL
+                Also poll this llama-server; repeat for several
+  --llama-server-port PORT
+                Port of a llama-server started without --port (default 8080)
+  --alert-webhook URL
+                POST each alert as JSON to URL when it fires and resolves
+  --notify      Show alerts as desktop notifications (notify-send/osascript)
+  -h, --help    Show this help
+
+Commands:
+  exporter      Serve Prometheus metrics on /metrics (default --listen :9464)
+  proxy         Run the UI (or --json) with a metering proxy in front of
+                Ollama (default --listen 127.0.0.1:11435, --upstream the
+                first --ollama-host); point clients at it to see tokens/s
+                and TTFT. --listen 0.0.0.0:11435 serves other machines`;
+
+const COMMANDS = new Set(['exporter', 'proxy']);
+
+const SETTING_FLAGS = ['tick', 'http-interval', 'static-interval', 'history', 'llama-server', 'llama-server-port'];
+
+const DEFAULT_LISTEN = { exporter: ':9464', proxy: ':11435' };
+
+// The proxy passes Ollama's unauthenticated API through, generate, pull and
+// delete included, so unlike Ollama's own port it would expose them to the
+// network; it stays on loopback unless a host is given.
+const DEFAULT_HOST = { exporter: undefined, proxy: '127.0.0.1' };
+
+// Accepts ":9464", "9464", "0.0.0.0:9464" or "[::1]:9464". A bare port binds
+// `defaultHost`, which for the exporter is every interface, as Prometheus
+// exporters conventionally do.
+export function parseListen(value, defaultHost = undefined) {
+  const m = String(value).match(/^(?:(?:\[([^\]]+)\]|([^:[\]]*)):)?(\d+)$/);
+  const port = m ? Number(m[3]) : NaN;
+  if (!m || !Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`invalid --listen address '${value}', expected [host]:port`);
+  }
+  return { host: m[1] || m[2] || defaultHost, port };
+}
+
+// "localhost:9000" parses as a URL with the scheme "localhost:", so the
+// scheme is checked rather than trusting the parse.
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      json: { type: 'boolean', default: false },
+      once: { type: 'boolean', default: false },
+      listen: { type: 'string' },
+      upstream: { type: 'string' },
+      'ollama-host': { type: 'string', multiple: true },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      config: { type: 'string' },
+      tick: { type: 'string' },
+      'http-interval': { type: 'string' },
+      'static-interval': { type: 'string' },
+      history: { type: 'string' },
+      'llama-server': { type: 'string', multiple: true },
+      'llama-server-port': { type: 'string' },
+      'alert-webhook': { type: 'string' },
+      notify: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    },
+    allowPositionals: true,
+    strict: true
+  });
+
+  const [command, ...extra] = positionals;
+  if (command !== undefined && !COMMANDS.has(command)) {
+    throw new Error(`unknown command '${command}'`);
+  }
+  if (extra.length) throw new Error(`unexpected argument '${extra[0]}'`);
+
+  if (values.help) return { mode: 'help', once: false };
+
+  const ollamaHosts = values['ollama-host'] ?? [];
+
+  // Settings flags are validated together with the config file and the
+  // environment (see config.js), so they are only collected here.
+  const settings = Object.fromEntries(
+    SETTING_FLAGS.filter((flag) => values[flag] !== undefined).map((flag) => [`--${flag}`, values[flag]])
+  );
+  const config = values.config ?? null;
+
+  if (values.upstream !== undefined && command !== 'proxy') {
+    throw new Error('--upstream only applies to the proxy command');
+  }
+
+  const webhook = values['alert-webhook'] ?? null;
+  const alerting = webhook !== null || values.notify;
+  if (webhook !== null && !isHttpUrl(webhook)) {
+    throw new Error(`invalid --alert-webhook URL '${webhook}', expected http(s)://host[:port]/path`);
+  }
+
+  if (command === 'exporter') {
+    if (alerting) throw new Error('alert sinks do not apply to the exporter; alert on its metrics instead');
+    // It serves the live snapshot over HTTP, so it has no stream to print,
+    // record or replay.
+    for (const flag of ['json', 'once', 'record', 'replay']) {
+      if (values[flag] !== undefined && values[flag] !== false) {
+        throw new Error(`the exporter serves metrics over HTTP and cannot be combined with --${flag}`);
+      }
+    }
+
+    return {
+      mode: command,
+      once: false,
+      listen: parseListen(values.listen ?? DEFAULT_LISTEN[command], DEFAULT_HOST[command]),
+      ollamaHosts,
+      config,
+      settings
+    };
+  }
+
+  // --once on its own still means "give me a snapshot", which is only useful
+  // as JSON; there is no one-frame TUI.
+  const mode = values.json || values.once ? 'json' : 'tui';
+
+  if (values.replay !== undefined) {
+    if (mode !== 'tui') throw new Error('--replay drives the terminal UI and cannot be combined with --json');
+    if (values.record !== undefined) throw new Error('--replay and --record cannot be combined');
+  }
+
+  // Alerts fire on conditions that hold over time, and a recording's alerts
+  // already happened; both need a live session to mean anything.
+  if (alerting) {
+    if (values.once) throw new Error('alert sinks need a running session and cannot be combined with --once');
+    if (values.replay !== undefined) throw new Error('alert sinks cannot be combined with --replay');
+  }
+
+  // The proxy meters live traffic, so it needs a live session to report into.
+  if (command === 'proxy') {
+    if (values.once) throw new Error('the proxy runs until stopped and cannot be combined with --once');
+    if (values.replay !== undefined) throw new Error('the proxy meters live traffic and cannot be combined with --replay');
+  }
+
+  return {
+    mode,
+    once: values.once,
+    ollamaHosts,
+    config,
+    settings,
+    record: values.record ?? null,
+    replay: values.replay ?? null,
+    proxy:
+      command === 'proxy'
+        ? {
+          listen: parseListen(values.listen ?? DEFAULT_LISTEN.proxy, DEFAULT_HOST.proxy),
+          upstream: values.upstream ?? null
+        }
+        : null,
+    alerts: { webhook, desktop: values.notify }
+  };
+}
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCli, parseListen } from './cli.js';
+
+test('starts the terminal UI by default', () => {
+  assert.deepEqual(parseCli([]), {
+    mode: 'tui',
+    once: false,
+    ollamaHosts: [],
+    config: null,
+    settings: {},
+    record: null,
+    replay: null,
+    proxy: null,
+    alerts: { webhook: null, desktop: false }
+  });
+});
+
+test('streams JSON with --json', () => {
+  assert.equal(parseCli(['--json']).mode, 'json');
+  assert.equal(parseCli(['--json']).once, false);
+});
+
+test('prints a single JSON snapshot with --json --once', () => {
+  assert.equal(parseCli(['--json', '--once']).once, true);
+});
+
+test('treats a bare --once as a single JSON snapshot', () => {
+  assert.equal(parseCli(['--once']).mode, 'json');
+});
+
+test('shows help with -h', () => {
+  assert.equal(parseCli(['-h']).mode, 'help');
+});
+
+test('rejects an unknown flag', () => {
+  assert.throws(() => parseCli(['--jsno']), /Unknown option '--jsno'/);
+});
+
+test('serves metrics on the default exporter port', () => {
+  assert.deepEqual(parseCli(['exporter']), {
+    mode: 'exporter',
+    once: false,
+    listen: { host: undefined, port: 9464 },
+    ollamaHosts: [],
+    config: null,
+    settings: {}
+  });
+});
+
+test('binds the exporter to an explicit host and port', () => {
+  assert.deepEqual(parseCli(['exporter', '--listen', '127.0.0.1:9100']).listen, {
+    host: '127.0.0.1',
+    port: 9100
+  });
+});
+
+test('reads a bracketed IPv6 listen address', () => {
+  assert.deepEqual(parseListen('[::1]:9464'), { host: '::1', port: 9464 });
+});
+
+test('accepts a bare port as a listen address', () => {
+  assert.deepEqual(parseListen('9464'), { host: undefined, port: 9464 });
+});
+
+test('rejects a listen address without a usable port', () => {
+  assert.throws(() => parseListen('localhost'), /invalid --listen address 'localhost'/);
+  assert.throws(() => parseListen(':70000'), /invalid --listen address/);
+});
+
+test('rejects an unknown command', () => {
+  assert.throws(() => parseCli(['exporterr']), /unknown command 'exporterr'/);
+});
+
+test('records alongside the UI or the JSON stream', () => {
+  assert.equal(parseCli(['--record', 'night.ndjson']).record, 'night.ndjson');
+  assert.equal(parseCli(['--json', '--record', 'night.ndjson']).record, 'night.ndjson');
+});
+
+test('replays a recording into the UI', () => {
+  assert.deepEqual(parseCli(['--replay', 'night.ndjson']), {
+    mode: 'tui',
+    once: false,
+    ollamaHosts: [],
+    config: null,
+    settings: {},
+    record: null,
+    replay: 'night.ndjson',
+    proxy: null,
+    alerts: { webhook: null, desktop: false }
+  });
+});
+
+test('rejects replaying into JSON output or into another recording', () => {
+  assert.throws(() => parseCli(['--replay', 'a', '--json']), /cannot be combined with --json/);
+  assert.throws(() => parseCli(['--replay', 'a', '--record', 'b']), /--replay and --record/);
+});
+
+test('collects every --ollama-host given', () => {
+  assert.deepEqual(parseCli(['--ollama-host', 'box1:11434', '--ollama-host', 'box2:11434']).ollamaHosts, [
+    'box1:11434',
+    'box2:11434'
+  ]);
+});
+
+test('runs the UI behind a metering proxy on the default port', () => {
+  const options = parseCli(['proxy']);
+  assert.equal(options.mode, 'tui');
+  // Loopback only: the proxy would otherwise open Ollama's API to the network.
+  assert.deepEqual(options.proxy, { listen: { host: '127.0.0.1', port: 11435 }, upstream: null });
+});
+
+test('binds the proxy to every interface only when asked to', () => {
+  assert.deepEqual(parseCli(['proxy', '--listen', ':9000']).proxy.listen, { host: '127.0.0.1', port: 9000 });
+  assert.deepEqual(parseCli(['proxy', '--listen', '0.0.0.0:11435']).proxy.listen, { host: '0.0.0.0', port: 11435 });
+});
+
+test('takes the proxy\'s upstream and listen address, and streams JSON with --json', () => {
+  const options = parseCli(['proxy', '--listen', '127.0.0.1:8080', '--upstream', ':11434', '--json']);
+  assert.equal(options.mode, 'json');
+  assert.deepEqual(options.proxy, { listen: { host: '127.0.0.1', port: 8080 }, upstream: ':11434' });
+});
+
+test('rejects proxy combinations that have no live session to report into', () => {
+  assert.throws(() => parseCli(['proxy', '--once']), /cannot be combined with --once/);
+  assert.throws(() => parseCli(['proxy', '--replay', 'a']), /cannot be combined with --replay/);
+  assert.throws(() => parseCli(['--upstream', ':11434']), /only applies to the proxy command/);
+});
+
+test('sends alerts to a webhook and the desktop', () => {
+  assert.deepEqual(parseCli(['--alert-webhook', 'http://127.0.0.1:8123/api/webhook/llm', '--notify']).alerts, {
+    webhook: 'http://127.0.0.1:8123/api/webhook/llm',
+    desktop: true
+  });
+  assert.equal(parseCli(['--json', '--notify']).alerts.desktop, true);
+});
+
+test('rejects alert sinks without a live session or with a malformed URL', () => {
+  assert.throws(() => parseCli(['--alert-webhook', 'localhost:9000']), /invalid --alert-webhook URL/);
+  assert.throws(() => parseCli(['--notify', '--once']), /cannot be combined with --once/);
+  assert.throws(() => parseCli(['--notify', '--replay', 'a']), /cannot be combined with --replay/);
+  assert.throws(() => parseCli(['exporter', '--notify']), /do not apply to the exporter/);
+});
+
+test('rejects output and recording flags the exporter would ignore', () => {
+  assert.throws(() => parseCli(['exporter', '--json']), /exporter .* cannot be combined with --json/);
+  assert.throws(() => parseCli(['exporter', '--once']), /cannot be combined with --once/);
+  assert.throws(() => parseCli(['exporter', '--record', 'night.ndjson']), /cannot be combined with --record/);
+  assert.throws(() => parseCli(['exporter', '--replay', 'night.ndjson']), /cannot be combined with --replay/);
+});
+
+test('collects settings flags for validation alongside the config file', () => {
+  const options = parseCli([
+    '--config', 'lab.json',
+    '--tick', '500ms',
+    '--history', '300',
+    '--llama-server', 'gpu-box:8080',
+    '--llama-server', ':8081'
+  ]);
+  assert.equal(options.config, 'lab.json');
+  assert.deepEqual(options.settings, {
+    '--tick': '500ms',
+    '--history': '300',
+    '--llama-server': ['gpu-box:8080', ':8081']
+  });
+});
@@ -1,19 +1,62 @@
 // Classifies a ps sweep into inference engines. Modern Ollama spawns
 // llama-server as its runner subprocess, so a llama-server is only "standalone"
-// if its parent isn't an ollama server — otherwise we'd double-count it.
+// if its parent isn't an ollama server — otherwise we'd double-count it. The
+// other servers fold their helper processes in the same way.
 
+import { parseLaunchArgs } from './launch.js';
+
+// Where llama-server listens when started without --port; configurable for
+// builds or wrappers that change it.
 const LLAMA_SERVER_DEFAULT_PORT = 8080;
 
+// A ps sweep only has the joined command line, so its arguments are split on
+// whitespace; /proc rows carry the real argv, which survives spaces in paths.
+const argsOf = (proc) => proc.argv ?? proc.command.split(/\s+/);
+
+const basename = (file) => file.substring(file.lastIndexOf('/') + 1);
+
 // Match the executable name, not any mention of it: `tail /var/log/llama-server.log`
 // must not register as an engine.
-const execName = (command) => {
-  const bin = command.split(/\s+/)[0] ?? '';
-  return bin.substring(bin.lastIndexOf('/') + 1);
-};
+const execName = (proc) => basename(argsOf(proc)[0] ?? '');
+
+// macOS framework builds run as `Python`, venvs as `python3.12`.
+const PYTHON = /^python[\d.]*$/i;
+
+// Interpreter options that take a value, so it isn't mistaken for the script.
+const PYTHON_VALUE_FLAGS = new Set(['-X', '-W', '-Q']);
+
+// What a process is running, and that program's own arguments. For a Python
+// interpreter that is the `-m` module or the script (a console script such as
+// `bin/vllm` runs as `python bin/vllm` once its shebang is resolved).
+function programOf(proc) {
+  const argv = argsOf(proc);
+  const name = execName(proc);
+  if (!PYTHON.test(name)) return { name, args: argv.slice(1) };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '-m') return { name: argv[i + 1] ?? '', args: argv.slice(i + 2) };
+    if (argv[i] === '-c') break;
+    if (PYTHON_VALUE_FLAGS.has(argv[i])) i++;
+    else if (!argv[i].startsWith('-')) return { name: basename(argv[i]), args: argv.slice(i + 1) };
+  }
+  return { name: '', args: [] };
+}
+
+// LM Studio's macOS executable has a space in its name, which a ps sweep
+// splits. Its arguments are all flags, so there the executable runs up to
+// the first one.
+function lmStudioName(proc) {
+  return proc.argv ? execName(proc) : basename(proc.command.split(/\s+-/)[0]);
+}
+
+const leading = (args) => (args[0] && !args[0].startsWith('-') ? args[0] : null);
 
+// Accepts either a command string or an argv array, and either the
+// `--flag value` or the `--flag=value` form.
 export function argValue(command, flags) {
-  const parts = command.split(/\s+/);
+  const parts = Array.isArray(command) ? command : command.split(/\s+/);
   for (const flag of flags) {
+    const inline = parts.find((part) => part.startsWith(`${flag}=`));
+    if (inline !== undefined) return inline.slice(flag.length + 1);
     const i = parts.indexOf(flag);
     if (i === -1 || i + 1 >= parts.length) continue;
     const value = parts[i + 1];
@@ -23,60 +66,164 @@ export function argValue(command, flags) {
   return null;
 }
 
-const portOf = (command, fallback) => {
-  const raw = argValue(command, ['--port']);
-  return raw === null ? fallback : Number(raw);
-};
+// llama.cpp's own flags, which also give its port and model in either the
+// `--port 8080` or the `--port=8080` form.
+const launchOf = (proc) => parseLaunchArgs(argsOf(proc));
+
+// The other servers share llama.cpp's spelling of --port and --model, so the
+// same parser reads them from a program's arguments.
+const flagsOf = (args) => parseLaunchArgs(['', ...args]);
+const portArg = (args, fallback) => flagsOf(args).port ?? fallback;
+const modelArg = (args) => flagsOf(args).model;
 
-const modelOf = (command) => argValue(command, ['--model', '-m']);
+// Servers besides Ollama and llama.cpp's own, by how each shows up in the
+// process table. `match` sees the program (after any interpreter), and
+// `port`/`model` read its arguments; a port that isn't on the command line
+// is the server's default. A llama.cpp build also has a `launch` config.
+const SERVERS = [
+  {
+    // `vllm serve MODEL`, or the OpenAI server module run directly.
+    kind: 'vllm',
+    match: ({ name, args }) => (name === 'vllm' && args[0] === 'serve') || name.startsWith('vllm.entrypoints'),
+    port: (args) => portArg(args, 8000),
+    model: (args) => modelArg(args) ?? (args[0] === 'serve' ? leading(args.slice(1)) : null)
+  },
+  {
+    kind: 'mlx-lm',
+    match: ({ name }) => name === 'mlx_lm.server',
+    port: (args) => portArg(args, 8080),
+    model: modelArg
+  },
+  {
+    // A llamafile carries its weights inside the executable unless given -m,
+    // and only serves HTTP when it isn't run as a CLI.
+    kind: 'llamafile',
+    match: ({ name }) => name === 'llamafile' || name.endsWith('.llamafile'),
+    port: (args) => (args.includes('--cli') ? null : portArg(args, 8080)),
+    model: (args, proc) => modelArg(args) ?? (execName(proc).endsWith('.llamafile') ? argsOf(proc)[0] : null),
+    // Built from llama.cpp, so it takes the same flags.
+    launch: launchOf
+  },
+  {
+    // Shipped as koboldcpp.py or a bundled binary such as
+    // koboldcpp-linux-x64-cuda1210, which also accepts `MODEL [PORT]`.
+    kind: 'koboldcpp',
+    match: ({ name }) => name.startsWith('koboldcpp'),
+    port: (args) => {
+      const positional = leading(args) && /^\d+$/.test(args[1] ?? '') ? Number(args[1]) : 5001;
+      return portArg(args, positional);
+    },
+    model: (args) => modelArg(args) ?? leading(args)
+  },
+  {
+    // The app loads models on request and keeps its port in its settings,
+    // so neither is on the command line.
+    kind: 'lm-studio',
+    match: (program, proc) => ['LM Studio', 'lm-studio', 'llmster'].includes(lmStudioName(proc)),
+    port: () => 1234,
+    model: () => null
+  },
+  {
+    // `--address` is a bind address such as :8080 or 0.0.0.0:8080.
+    kind: 'localai',
+    match: ({ name }) => name === 'local-ai' || name === 'localai',
+    port: (args) => {
+      const address = argValue(args, ['--address']);
+      return address === null ? 8080 : Number(address.substring(address.lastIndexOf(':') + 1));
+    },
+    model: (args) => (args[0] === 'run' ? leading(args.slice(1)) : null)
+  }
+];
+
+// Every process below `pid`: vLLM's engine core and workers, LocalAI's
+// backends, LM Studio's helpers, a bundled binary's unpacked child.
+function descendantsOf(pid, childrenOf) {
+  const out = [];
+  for (const child of childrenOf.get(pid) ?? []) out.push(child.pid, ...descendantsOf(child.pid, childrenOf));
+  return out;
+}
 
-export function classifyEngines(procs) {
+export function classifyEngines(procs, { llamaServerPort = LLAMA_SERVER_DEFAULT_PORT } = {}) {
   const isOllamaServer = (p) =>
-    execName(p.command) === 'ollama' && / serve\b/.test(p.command);
+    execName(p) === 'ollama' && / serve\b/.test(p.command);
 
   const ollamaPids = new Set(procs.filter(isOllamaServer).map((p) => p.pid));
   const engines = [];
 
+  const childrenOf = new Map();
+  for (const proc of procs) {
+    if (!childrenOf.has(proc.ppid)) childrenOf.set(proc.ppid, []);
+    childrenOf.get(proc.ppid).push(proc);
+  }
+  const serverOf = (proc) => SERVERS.find((server) => server.match(programOf(proc), proc)) ?? null;
+  // A helper can look like its parent (a bundled binary re-executes itself),
+  // so anything under a recognized server is part of that server.
+  const serverPids = new Set(procs.filter(serverOf).map((p) => p.pid));
+  const folded = new Set([...serverPids].flatMap((pid) => descendantsOf(pid, childrenOf)));
+
   for (const proc of procs) {
-    const name = execName(proc.command);
+    const name = execName(proc);
 
     if (isOllamaServer(proc)) {
       const runners = procs.filter(
-        (p) => p.ppid === proc.pid && execName(p.command) === 'llama-server'
+        (p) => p.ppid === proc.pid && execName(p) === 'llama-server'
       );
+      const launch = runners.length ? launchOf(runners[0]) : null;
       engines.push({
         kind: 'ollama',
         pid: proc.pid,
         pids: [proc.pid, ...runners.map((r) => r.pid)],
         runnerPids: runners.map((r) => r.pid),
         // The runner owns the port and the weights; the supervisor is idle.
-        port: runners.length ? portOf(runners[0].command, null) : null,
-        model: runners.length ? modelOf(runners[0].command) : null
+        port: launch?.port ?? null,
+        model: launch?.model ?? null,
+        launch
       });
       continue;
     }
 
     if (name === 'llama-server') {
       if (ollamaPids.has(proc.ppid)) continue; // already folded into its ollama engine
+      if (folded.has(proc.pid)) continue; // a backend of another server
+      const launch = launchOf(proc);
       engines.push({
         kind: 'llama-server',
         pid: proc.pid,
         pids: [proc.pid],
         runnerPids: [],
-        port: portOf(proc.command, LLAMA_SERVER_DEFAULT_PORT),
-        model: modelOf(proc.command)
+        port: launch.port ?? llamaServerPort,
+        model: launch.model,
+        launch
       });
       continue;
     }
 
     if (name === 'llama-cli') {
+      const launch = launchOf(proc);
       engines.push({
         kind: 'llama-cli',
         pid: proc.pid,
         pids: [proc.pid],
         runnerPids: [],
         port: null, // no HTTP surface at all
-        model: modelOf(proc.command)
+        model: launch.model,
+        launch
+      });
+      continue;
+    }
+
+    if (serverPids.has(proc.pid) && !folded.has(proc.pid)) {
+      const server = serverOf(proc);
+      const { args } = programOf(proc);
+      const helpers = descendantsOf(proc.pid, childrenOf);
+      engines.push({
+        kind: server.kind,
+        pid: proc.pid,
+        pids: [proc.pid, ...helpers],
+        runnerPids: helpers,
+        port: server.port(args),
+        model: server.model(args, proc),
+        launch: server.launch?.(proc) ?? null
       });
     }
   }
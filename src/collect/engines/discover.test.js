@@ -1,7 +1,10 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 
 import { argValue, classifyEngines } from './discover.js';
+import { parsePsSweep } from '../procs.js';
 
 // Real command lines observed on this machine.
 const OLLAMA_SERVE = '/Applications/Ollama.app/Contents/Resources/ollama serve';
@@ -26,6 +29,15 @@ test('does not treat a following flag as a value', () => {
   assert.equal(argValue('llama-server --model --port 8080', ['--model']), null);
 });
 
+test('reads a --flag=value argument', () => {
+  assert.equal(argValue('local-ai run --address=:9090', ['--address']), ':9090');
+});
+
+test('reads a flag value from an argv array', () => {
+  const argv = ['/opt/llama.cpp/bin/llama-server', '-m', '/srv/My Models/qwen.gguf', '--port', '8081'];
+  assert.equal(argValue(argv, ['--model', '-m']), '/srv/My Models/qwen.gguf');
+});
+
 test('finds an ollama server and its llama-server runner as one engine', () => {
   const procs = [
     { pid: 9011, ppid: 8970, rssBytes: 14_000_000, cpuSeconds: 1, command: OLLAMA_SERVE },
@@ -54,12 +66,34 @@ test('treats a standalone llama-server as its own engine', () => {
   assert.equal(engines[0].model, '/models/qwen.gguf');
 });
 
+test('reads the port and model from --flag=value arguments', () => {
+  const procs = [
+    { pid: 501, ppid: 1, rssBytes: 1, cpuSeconds: 1,
+      command: '/opt/homebrew/bin/llama-server --model=/models/qwen.gguf --port=8082' }
+  ];
+  const [engine] = classifyEngines(procs);
+  assert.equal(engine.port, 8082);
+  assert.equal(engine.model, '/models/qwen.gguf');
+});
+
+test('keeps the runner\'s launch flags on the ollama engine', () => {
+  const procs = [
+    { pid: 9011, ppid: 8970, rssBytes: 1, cpuSeconds: 1, command: OLLAMA_SERVE },
+    { pid: 9076, ppid: 9011, rssBytes: 1, cpuSeconds: 1, command: OLLAMA_RUNNER }
+  ];
+  const { launch } = classifyEngines(procs)[0];
+  assert.equal(launch.ctxSize, 40960);
+  assert.equal(launch.parallel, 1);
+  assert.equal(launch.flashAttn, 'auto');
+});
+
 test('defaults a standalone llama-server with no port flag to 8080', () => {
   const procs = [
     { pid: 500, ppid: 1, rssBytes: 1, cpuSeconds: 1,
       command: '/opt/homebrew/bin/llama-server -m /models/qwen.gguf' }
   ];
   assert.equal(classifyEngines(procs)[0].port, 8080);
+  assert.equal(classifyEngines(procs, { llamaServerPort: 8090 })[0].port, 8090);
 });
 
 test('finds llama-cli and gives it no port', () => {
@@ -105,3 +139,105 @@ test('sums runner memory onto the ollama engine', () => {
   ];
   assert.equal(classifyEngines(procs)[0].pids.length, 2);
 });
+
+test('prefers argv over the joined command when a model path has spaces', () => {
+  const argv = ['/opt/llama.cpp/bin/llama-server', '-m', '/srv/My Models/qwen.gguf', '--port', '8081'];
+  const procs = [
+    { pid: 1404, ppid: 1, rssBytes: 1, cpuSeconds: 1, command: argv.join(' '), argv }
+  ];
+
+  const [engine] = classifyEngines(procs);
+  assert.equal(engine.model, '/srv/My Models/qwen.gguf');
+  assert.equal(engine.port, 8081);
+});
+
+test('recognizes an executable whose directory has spaces in it', () => {
+  const argv = ['/home/sam/AI Tools/llama-server', '--port', '9000'];
+  const procs = [{ pid: 8, ppid: 1, rssBytes: 1, cpuSeconds: 1, command: argv.join(' '), argv }];
+  assert.equal(classifyEngines(procs)[0]?.kind, 'llama-server');
+});
+
+// A sweep with one of each of the other servers, several launched through
+// Python and several with helper processes of their own.
+const OTHER_SERVERS = parsePsSweep(
+  readFileSync(fileURLToPath(new URL('../__fixtures__/ps-engines.txt', import.meta.url)), 'utf8')
+);
+
+const summary = (engine) => ({
+  kind: engine.kind,
+  pid: engine.pid,
+  pids: engine.pids,
+  port: engine.port,
+  model: engine.model
+});
+
+test('recognizes vLLM by its console script and by its server module', () => {
+  const vllm = classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'vllm').map(summary);
+  assert.deepEqual(vllm, [
+    // The engine core and the resource tracker are part of the server.
+    { kind: 'vllm', pid: 4410, pids: [4410, 4477, 4478], port: 8010, model: 'Qwen/Qwen2.5-7B-Instruct' },
+    { kind: 'vllm', pid: 5200, pids: [5200], port: 8000, model: 'meta-llama/Llama-3.1-8B-Instruct' }
+  ]);
+  assert.ok(classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'vllm').every((e) => e.launch === null));
+});
+
+test('recognizes mlx_lm.server run by a macOS framework Python', () => {
+  const [engine] = classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'mlx-lm');
+  assert.deepEqual(summary(engine), {
+    kind: 'mlx-lm',
+    pid: 2210,
+    pids: [2210],
+    port: 8091,
+    model: 'mlx-community/Qwen2.5-7B-Instruct-4bit'
+  });
+});
+
+test('folds LM Studio\'s helpers and model workers into the app', () => {
+  const [engine] = classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'lm-studio');
+  assert.deepEqual(summary(engine), { kind: 'lm-studio', pid: 2344, pids: [2344, 2351, 2360], port: 1234, model: null });
+});
+
+test('counts a bundled koboldcpp once, not once per process it unpacks into', () => {
+  const kobold = classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'koboldcpp');
+  assert.deepEqual(kobold.map(summary), [
+    { kind: 'koboldcpp', pid: 3188, pids: [3188, 3189], port: 5005, model: '/home/x/models/gemma-3-12b-it-Q4_K_M.gguf' }
+  ]);
+});
+
+test('takes a llamafile\'s own path as its model unless given -m', () => {
+  const [engine] = classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'llamafile');
+  assert.equal(engine.port, 8081);
+  assert.equal(engine.model, '/home/x/models/Mistral-7B-Instruct-v0.3.Q4_0.llamafile');
+  // Built from llama.cpp, so its flags read the same way.
+  assert.equal(engine.launch.port, 8081);
+
+  const cli = [{ pid: 9, ppid: 1, rssBytes: 1, cpuSeconds: 1, command: '/usr/local/bin/llamafile --cli -m /m/phi.gguf -p hi' }];
+  assert.deepEqual(summary(classifyEngines(cli)[0]), { kind: 'llamafile', pid: 9, pids: [9], port: null, model: '/m/phi.gguf' });
+});
+
+test('reads LocalAI\'s port from its bind address and folds in its backends', () => {
+  const [engine] = classifyEngines(OTHER_SERVERS).filter((e) => e.kind === 'localai');
+  assert.deepEqual(summary(engine), { kind: 'localai', pid: 5120, pids: [5120, 5166], port: 9090, model: null });
+});
+
+// The same servers, started with `--flag=value` arguments.
+const INLINE_SERVERS = parsePsSweep(
+  readFileSync(fileURLToPath(new URL('../__fixtures__/ps-engines-inline.txt', import.meta.url)), 'utf8')
+);
+
+test('reads ports and models given as --flag=value', () => {
+  assert.deepEqual(classifyEngines(INLINE_SERVERS).map(summary), [
+    { kind: 'mlx-lm', pid: 2210, pids: [2210], port: 8092, model: 'mlx-community/Qwen2.5-7B-Instruct-4bit' },
+    { kind: 'koboldcpp', pid: 3188, pids: [3188], port: 5006, model: '/home/x/models/gemma-3-12b-it-Q4_K_M.gguf' },
+    { kind: 'vllm', pid: 4410, pids: [4410], port: 8011, model: 'Qwen/Qwen2.5-7B-Instruct' },
+    { kind: 'localai', pid: 5120, pids: [5120], port: 9091, model: null },
+    { kind: 'vllm', pid: 5200, pids: [5200], port: 8002, model: 'meta-llama/Llama-3.1-8B-Instruct' }
+  ]);
+});
+
+test('ignores Python scripts and files that only mention an engine', () => {
+  const pids = classifyEngines(OTHER_SERVERS).flatMap((e) => e.pids);
+  assert.ok(!pids.includes(5301));
+  assert.ok(!pids.includes(5302));
+  assert.equal(classifyEngines(OTHER_SERVERS).length, 7);
+});
@@ -0,0 +1,150 @@
+// A llama.cpp server's launch flags as a typed config, and a cross-check of
+// that config against what the running server reports. The command line says
+// what was asked for; /props and /slots say what the server actually did,
+// and a difference between them is usually a typo or a wrapper script's
+// default (an `-ngl 0` left over from a CPU test, a context split across
+// more slots than intended).
+
+const int = (raw) => (/^-?\d+$/.test(raw) ? Number(raw) : raw);
+const num = (raw) => (Number.isFinite(Number(raw)) ? Number(raw) : raw);
+
+// Newer builds take `-fa on|off|auto`; older ones a bare `-fa`.
+const FLASH_ATTN_VALUES = new Set(['on', 'off', 'auto']);
+
+// `value` parses the flag's argument; flags without one are switches. A
+// value that isn't the expected type is kept as given, so the pane shows it.
+const LAUNCH_FLAGS = [
+  { names: ['-m', '--model'], key: 'model', value: String },
+  { names: ['--host'], key: 'host', value: String },
+  { names: ['--port'], key: 'port', value: int },
+  { names: ['-c', '--ctx-size'], key: 'ctxSize', value: int },
+  // "auto" and "all" are accepted by newer builds.
+  { names: ['-ngl', '--gpu-layers', '--n-gpu-layers'], key: 'gpuLayers', value: int },
+  { names: ['-t', '--threads'], key: 'threads', value: int },
+  { names: ['-np', '--parallel'], key: 'parallel', value: int },
+  { names: ['-fa', '--flash-attn'], key: 'flashAttn', optional: FLASH_ATTN_VALUES },
+  { names: ['-ctk', '--cache-type-k'], key: 'cacheTypeK', value: String },
+  { names: ['-ctv', '--cache-type-v'], key: 'cacheTypeV', value: String },
+  { names: ['--mlock'], key: 'mlock' },
+  { names: ['--rope-scaling'], key: 'ropeScaling', value: String },
+  { names: ['--rope-scale'], key: 'ropeScale', value: num },
+  { names: ['--rope-freq-base'], key: 'ropeFreqBase', value: num },
+  { names: ['--rope-freq-scale'], key: 'ropeFreqScale', value: num },
+  { names: ['--lora'], key: 'lora', value: String, repeats: true },
+  // FNAME SCALE; the scale isn't kept.
+  { names: ['--lora-scaled'], key: 'lora', value: String, repeats: true, skip: 1 },
+  { names: ['--mmproj'], key: 'mmproj', value: String },
+  // Only whether there is one: the key itself never leaves the process table.
+  { names: ['--api-key', '--api-key-file'], key: 'apiKey', secret: true }
+];
+
+const FLAGS_BY_NAME = new Map(LAUNCH_FLAGS.flatMap((flag) => flag.names.map((name) => [name, flag])));
+
+// Every setting the config covers, as the server's own default: null for a
+// value, false for a switch, [] for a repeatable flag.
+function emptyLaunch() {
+  const launch = {};
+  for (const flag of LAUNCH_FLAGS) {
+    launch[flag.key] = flag.repeats ? [] : flag.value || flag.optional ? null : false;
+  }
+  return launch;
+}
+
+// Reads llama-server and llama-cli arguments, in both `--flag value` and
+// `--flag=value` form. Unknown flags are skipped; a value flag at the end of
+// the line is left unset.
+export function parseLaunchArgs(argv) {
+  const launch = emptyLaunch();
+
+  for (let i = 1; i < argv.length; i++) {
+    const token = argv[i];
+    const eq = token.startsWith('-') ? token.indexOf('=') : -1;
+    const name = eq === -1 ? token : token.slice(0, eq);
+    const flag = FLAGS_BY_NAME.get(name);
+    if (!flag) continue;
+
+    const inline = eq === -1 ? null : token.slice(eq + 1);
+    if (flag.secret) {
+      launch.apiKey = true;
+      if (inline === null) i += 1;
+      continue;
+    }
+    if (flag.optional) {
+      if (inline !== null) launch[flag.key] = inline;
+      else if (flag.optional.has(argv[i + 1])) launch[flag.key] = argv[++i];
+      else launch[flag.key] = 'on';
+      continue;
+    }
+    if (!flag.value) {
+      launch[flag.key] = true;
+      continue;
+    }
+
+    const raw = inline ?? argv[i + 1];
+    if (raw === undefined) continue;
+    if (inline === null) i += 1;
+    i += flag.skip ?? 0;
+    if (flag.repeats) launch[flag.key].push(flag.value(raw));
+    else launch[flag.key] = flag.value(raw);
+  }
+
+  return launch;
+}
+
+const basename = (file) => file.substring(file.lastIndexOf('/') + 1);
+
+// What the running server contradicts in its launch config, plus anything the
+// config asks for that can't work on this machine. Each finding is
+// `{ level: 'warn' | 'info', message }`. `gpus` is the snapshot's.
+export function checkLaunch(engine, gpus = []) {
+  const launch = engine.launch;
+  if (!launch) return [];
+  const findings = [];
+  const warn = (message) => findings.push({ level: 'warn', message });
+  const info = (message) => findings.push({ level: 'info', message });
+
+  if (launch.gpuLayers === 0 && gpus.length) {
+    warn(`-ngl 0 keeps every layer on the CPU, though this machine has ${gpus.length === 1 ? 'a GPU' : `${gpus.length} GPUs`}`);
+  } else if (launch.gpuLayers !== 0 && Array.isArray(engine.gpuDevices) && !engine.gpuDevices.length && gpus.length) {
+    // Only nvidia-smi can say a process holds no GPU memory.
+    warn('holds no GPU memory, so its layers are on the CPU; is this a CPU-only build?');
+  }
+
+  const telemetry = engine.telemetry;
+  if (!telemetry?.up) {
+    info('the server is not answering, so there is nothing to check the flags against');
+    return findings;
+  }
+
+  const props = telemetry.props;
+  const slots = telemetry.slots;
+  const totalSlots = props?.totalSlots ?? slots?.total ?? null;
+  if (typeof launch.parallel === 'number' && totalSlots !== null && launch.parallel !== totalSlots) {
+    warn(`--parallel ${launch.parallel}, but the server runs ${totalSlots} slots`);
+  }
+
+  // The context is split across the slots unless the KV cache is unified.
+  if (typeof launch.ctxSize === 'number' && launch.ctxSize > 0 && slots?.nCtx) {
+    const perSlot = totalSlots ? Math.floor(launch.ctxSize / totalSlots) : launch.ctxSize;
+    if (slots.nCtx !== launch.ctxSize && slots.nCtx !== perSlot) {
+      warn(`-c ${launch.ctxSize}, but each slot has ${slots.nCtx} tokens of context`);
+    } else if (slots.nCtx !== launch.ctxSize) {
+      info(`-c ${launch.ctxSize} is split across ${totalSlots} slots: ${slots.nCtx} tokens each`);
+    }
+  }
+
+  if (launch.model && props?.modelPath && basename(launch.model) !== basename(props.modelPath)) {
+    warn(`launched with -m ${basename(launch.model)}, but serving ${basename(props.modelPath)}`);
+  }
+
+  if (launch.mmproj && props?.modalities && !props.modalities.vision && !props.modalities.audio) {
+    warn(`--mmproj ${basename(launch.mmproj)} given, but the server reports no vision or audio input`);
+  }
+
+  // Ollama never passes --metrics; its TOK/S comes from the metering proxy.
+  if (props && !props.metricsEnabled && engine.kind !== 'ollama') {
+    info('started without --metrics, so TOK/S is unavailable');
+  }
+
+  return findings;
+}
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLaunchArgs, checkLaunch } from './launch.js';
+
+const argv = (command) => command.split(/\s+/);
+
+test('reads a server command line into a typed config', () => {
+  const launch = parseLaunchArgs(argv(
+    '/opt/llama.cpp/bin/llama-server -m /models/qwen3-8b-q4_k_m.gguf --host 0.0.0.0 --port 8081 ' +
+    '-c 32768 -ngl 99 -t 8 -np 4 -fa on -ctk q8_0 -ctv q8_0 --mlock --rope-scaling yarn ' +
+    '--rope-scale 4 --rope-freq-base 1000000 --mmproj /models/mmproj.gguf'
+  ));
+
+  assert.deepEqual(launch, {
+    model: '/models/qwen3-8b-q4_k_m.gguf',
+    host: '0.0.0.0',
+    port: 8081,
+    ctxSize: 32768,
+    gpuLayers: 99,
+    threads: 8,
+    parallel: 4,
+    flashAttn: 'on',
+    cacheTypeK: 'q8_0',
+    cacheTypeV: 'q8_0',
+    mlock: true,
+    ropeScaling: 'yarn',
+    ropeScale: 4,
+    ropeFreqBase: 1000000,
+    ropeFreqScale: null,
+    lora: [],
+    mmproj: '/models/mmproj.gguf',
+    apiKey: false
+  });
+});
+
+test('reads --flag=value the same as --flag value', () => {
+  const launch = parseLaunchArgs(argv('llama-server --model=/models/a.gguf --port=9000 --ctx-size=8192 --n-gpu-layers=0'));
+  assert.equal(launch.model, '/models/a.gguf');
+  assert.equal(launch.port, 9000);
+  assert.equal(launch.ctxSize, 8192);
+  assert.equal(launch.gpuLayers, 0);
+});
+
+test('leaves flags that were not passed at the server default', () => {
+  const launch = parseLaunchArgs(argv('llama-server -m /models/a.gguf'));
+  assert.equal(launch.ctxSize, null);
+  assert.equal(launch.gpuLayers, null);
+  assert.equal(launch.mlock, false);
+  assert.deepEqual(launch.lora, []);
+});
+
+test('takes a bare -fa as on without swallowing the next flag', () => {
+  const launch = parseLaunchArgs(argv('llama-server -fa -c 4096'));
+  assert.equal(launch.flashAttn, 'on');
+  assert.equal(launch.ctxSize, 4096);
+  assert.equal(parseLaunchArgs(argv('llama-server --flash-attn auto')).flashAttn, 'auto');
+});
+
+test('collects every adapter, including scaled ones', () => {
+  const launch = parseLaunchArgs(argv('llama-server --lora /a/style.gguf --lora-scaled /a/tone.gguf 0.5 -c 2048'));
+  assert.deepEqual(launch.lora, ['/a/style.gguf', '/a/tone.gguf']);
+  assert.equal(launch.ctxSize, 2048);
+});
+
+test('records that an API key is set without keeping it', () => {
+  const launch = parseLaunchArgs(argv('llama-server --api-key sk-secret --port 8080'));
+  assert.equal(launch.apiKey, true);
+  assert.equal(launch.port, 8080);
+  assert.ok(!JSON.stringify(launch).includes('sk-secret'));
+  assert.equal(parseLaunchArgs(argv('llama-server --api-key=sk-secret')).apiKey, true);
+});
+
+test('keeps a value that is not a number as given', () => {
+  assert.equal(parseLaunchArgs(argv('llama-server -ngl all')).gpuLayers, 'all');
+});
+
+// A server whose /props and /slots agree with how it was started.
+const serving = (launch, telemetry = {}) => ({
+  kind: 'llama-server',
+  gpuDevices: null,
+  launch: { ...parseLaunchArgs(['llama-server']), ...launch },
+  telemetry: {
+    up: true,
+    props: { modelPath: '/models/qwen.gguf', totalSlots: 4, metricsEnabled: true, modalities: { vision: false, audio: false } },
+    slots: { total: 4, processing: 0, nCtx: 8192 },
+    ...telemetry
+  }
+});
+
+const GPU = { index: 0, name: 'RTX 4090' };
+
+test('finds nothing wrong with a server running as launched', () => {
+  const engine = serving({ model: '/models/qwen.gguf', ctxSize: 32768, parallel: 4, gpuLayers: 99 });
+  assert.deepEqual(checkLaunch(engine, [GPU]), [
+    { level: 'info', message: '-c 32768 is split across 4 slots: 8192 tokens each' }
+  ]);
+});
+
+test('warns about -ngl 0 on a machine with a GPU', () => {
+  const [finding] = checkLaunch(serving({ gpuLayers: 0 }), [GPU]);
+  assert.equal(finding.level, 'warn');
+  assert.match(finding.message, /-ngl 0 keeps every layer on the CPU, though this machine has a GPU/);
+  assert.deepEqual(checkLaunch(serving({ gpuLayers: 0 }), []), []);
+});
+
+test('warns when an engine asked for GPU layers but holds no GPU memory', () => {
+  const engine = { ...serving({ gpuLayers: 99 }), gpuDevices: [] };
+  assert.match(checkLaunch(engine, [GPU])[0].message, /holds no GPU memory/);
+});
+
+test('warns when the server disagrees with its flags', () => {
+  const engine = serving(
+    { model: '/models/llama.gguf', parallel: 2, ctxSize: 4096, mmproj: '/models/mmproj.gguf' },
+    { slots: { total: 4, processing: 0, nCtx: 2048 } }
+  );
+  assert.deepEqual(checkLaunch(engine).map((finding) => finding.message), [
+    '--parallel 2, but the server runs 4 slots',
+    '-c 4096, but each slot has 2048 tokens of context',
+    'launched with -m llama.gguf, but serving qwen.gguf',
+    '--mmproj mmproj.gguf given, but the server reports no vision or audio input'
+  ]);
+});
+
+test('notes a server that cannot be checked', () => {
+  const findings = checkLaunch({ ...serving({}), telemetry: { up: false } });
+  assert.deepEqual(findings.map((finding) => finding.level), ['info']);
+  assert.match(findings[0].message, /not answering/);
+  assert.deepEqual(checkLaunch({ kind: 'vllm', launch: null }), []);
+});
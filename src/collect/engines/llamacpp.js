@@ -2,32 +2,26 @@
 // same endpoints serve both Ollama-managed and standalone servers — the only
 // difference is that Ollama omits --metrics, leaving /metrics answering 501.
 
-export function parsePrometheus(text) {
-  const samples = {};
+import { parsePrometheus, sumOf, counterRate, get } from './prometheus.js';
 
-  for (const line of text.split('\n')) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    const match = trimmed.match(/^(\S+)\s+(-?[\d.eE+]+)$/);
-    if (!match) continue;
-
-    samples[match[1]] = Number(match[2]);
-  }
-
-  return samples;
-}
-
-export function summarizeMetrics(text) {
+// `previous` is the summary from the last poll and `elapsedMs` the time since
+// it. The server's own *_tokens_seconds gauges average over its whole
+// lifetime, so current throughput comes from the token counters instead.
+export function summarizeMetrics(text, previous = null, elapsedMs = 0) {
   if (!text) return null;
-  const s = parsePrometheus(text);
+  const samples = parsePrometheus(text);
+  const tokensPredicted = sumOf(samples, 'llamacpp:tokens_predicted_total');
+  const promptTokens = sumOf(samples, 'llamacpp:prompt_tokens_total');
 
   return {
-    predictedTps: s['llamacpp:predicted_tokens_seconds'] ?? null,
-    promptTps: s['llamacpp:prompt_tokens_seconds'] ?? null,
-    tokensPredicted: s['llamacpp:tokens_predicted_total'] ?? null,
-    processing: s['llamacpp:requests_processing'] ?? null,
-    deferred: s['llamacpp:requests_deferred'] ?? null
+    predictedTps: counterRate(previous?.tokensPredicted, tokensPredicted, elapsedMs),
+    promptTps: counterRate(previous?.promptTokens, promptTokens, elapsedMs),
+    tokensPredicted,
+    promptTokens,
+    processing: sumOf(samples, 'llamacpp:requests_processing'),
+    deferred: sumOf(samples, 'llamacpp:requests_deferred'),
+    // Only some builds report it.
+    kvCacheUsage: sumOf(samples, 'llamacpp:kv_cache_usage_ratio')
   };
 }
 
@@ -42,6 +36,37 @@ export function summarizeSlots(slots) {
   };
 }
 
+// One entry per slot, for the slots pane. Builds differ in what they report:
+// older ones give n_past directly, newer ones only the prompt and decoded
+// counts that make it up. Prompt text is left out: it belongs to the client.
+export function slotDetails(slots) {
+  if (!Array.isArray(slots)) return null;
+
+  return slots.map((slot) => {
+    const next = Array.isArray(slot.next_token) ? slot.next_token[0] : slot.next_token;
+    const decoded = next?.n_decoded ?? null;
+    const promptTokens = slot.n_prompt_tokens ?? null;
+    const params = slot.params ?? {};
+    return {
+      id: slot.id,
+      // -1 when the slot has no task.
+      task: slot.id_task >= 0 ? slot.id_task : null,
+      processing: slot.is_processing === true,
+      nCtx: slot.n_ctx ?? null,
+      nPast: slot.n_past ?? (promptTokens === null ? null : promptTokens + (decoded ?? 0)),
+      decoded,
+      promptTokens,
+      promptProcessed: slot.n_prompt_tokens_processed ?? null,
+      promptCached: slot.n_prompt_tokens_cache ?? null,
+      speculative: slot.speculative === true,
+      draftMax: params['speculative.n_max'] ?? null,
+      temperature: params.temperature ?? null,
+      topP: params.top_p ?? null,
+      nPredict: params.n_predict ?? null
+    };
+  });
+}
+
 export function summarizeProps(props) {
   if (!props) return null;
 
@@ -49,21 +74,24 @@ export function summarizeProps(props) {
     modelPath: props.model_path ?? null,
     totalSlots: props.total_slots ?? null,
     buildInfo: props.build_info ?? null,
+    // What the loaded model accepts besides text; --mmproj adds vision or audio.
+    modalities: props.modalities ?? null,
     // /props advertises whether --metrics was passed, so we can skip polling an
     // endpoint that would only ever answer 501.
     metricsEnabled: props.endpoint_metrics === true
   };
 }
 
-async function get(url, timeoutMs, asText = false) {
-  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
-  if (!res.ok) return null;
-  return asText ? res.text() : res.json();
-}
-
-export async function readLlamaServer({ port, host = '127.0.0.1', props = null }) {
-  const base = `http://${host}:${port}`;
-
+// `base` overrides the address for a server that isn't on this machine.
+// `previous` and `elapsedMs` are passed to summarizeMetrics.
+export async function readLlamaServer({
+  port,
+  host = '127.0.0.1',
+  base = `http://${host}:${port}`,
+  props = null,
+  previous = null,
+  elapsedMs = 0
+}) {
   try {
     // /props is static for the life of the process, so it is fetched once and
     // handed back in on later ticks.
@@ -80,9 +108,10 @@ export async function readLlamaServer({ port, host = '127.0.0.1', props = null }
       up: true,
       props: staticInfo,
       slots: summarizeSlots(slots),
-      metrics: summarizeMetrics(metrics)
+      slotDetails: slotDetails(slots),
+      metrics: summarizeMetrics(metrics, previous, elapsedMs)
     };
   } catch {
-    return { up: false, props: props ?? null, slots: null, metrics: null };
+    return { up: false, props: props ?? null, slots: null, slotDetails: null, metrics: null };
   }
 }
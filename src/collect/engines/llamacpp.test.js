@@ -3,7 +3,7 @@ import assert from 'node:assert/strict';
 import { readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 
-import { parsePrometheus, summarizeMetrics, summarizeSlots, summarizeProps } from './llamacpp.js';
+import { summarizeMetrics, summarizeSlots, slotDetails, summarizeProps } from './llamacpp.js';
 
 const fixture = (name) =>
   readFileSync(fileURLToPath(new URL(`../__fixtures__/${name}`, import.meta.url)), 'utf8');
@@ -12,36 +12,30 @@ const metricsText = fixture('llamacpp-metrics.txt');
 const slots = JSON.parse(fixture('llamacpp-slots.json'));
 const props = JSON.parse(fixture('llamacpp-props.json'));
 
-test('parses prometheus samples into name and value pairs', () => {
-  const parsed = parsePrometheus(metricsText);
-  assert.equal(parsed['llamacpp:tokens_predicted_total'], 60);
-  assert.equal(parsed['llamacpp:predicted_tokens_seconds'], 215.827);
-});
-
-test('ignores HELP and TYPE comment lines', () => {
-  const parsed = parsePrometheus(metricsText);
-  assert.equal(parsed['#'], undefined);
-  assert.equal(Object.keys(parsed).every((k) => k.startsWith('llamacpp:')), true);
-});
-
-test('parses a zero-valued gauge rather than dropping it', () => {
-  assert.equal(parsePrometheus(metricsText)['llamacpp:requests_processing'], 0);
-});
-
-test('returns an empty object for text that has no samples', () => {
-  assert.deepEqual(parsePrometheus('# HELP only a comment'), {});
-});
-
-test('summarizes throughput and queue depth from metrics', () => {
+test('summarizes counters and queue depth from metrics', () => {
   assert.deepEqual(summarizeMetrics(metricsText), {
-    predictedTps: 215.827,
-    promptTps: 54.5455,
+    // The first poll has no earlier counters to take a rate from.
+    predictedTps: null,
+    promptTps: null,
     tokensPredicted: 60,
+    promptTokens: 3,
     processing: 0,
-    deferred: 0
+    deferred: 0,
+    kvCacheUsage: null
   });
 });
 
+test('takes throughput from the token counters rather than the lifetime average', () => {
+  const metrics = summarizeMetrics(metricsText, { tokensPredicted: 20, promptTokens: 3 }, 2_000);
+  assert.equal(metrics.predictedTps, 20);
+  assert.equal(metrics.promptTps, 0);
+});
+
+test('reads the KV cache usage ratio from builds that report it', () => {
+  const text = `${metricsText}\n# TYPE llamacpp:kv_cache_usage_ratio gauge\nllamacpp:kv_cache_usage_ratio 0.25\n`;
+  assert.equal(summarizeMetrics(text).kvCacheUsage, 0.25);
+});
+
 test('summarizes slot occupancy and context size', () => {
   assert.deepEqual(summarizeSlots(slots), {
     total: 2,
@@ -62,11 +56,44 @@ test('returns null when the slots endpoint is disabled', () => {
   assert.equal(summarizeSlots(null), null);
 });
 
+test('details every slot, working out n_past on builds that no longer report it', () => {
+  const [idle, used] = slotDetails(slots);
+  assert.deepEqual(idle, {
+    id: 0,
+    task: null,
+    processing: false,
+    nCtx: 1024,
+    nPast: null,
+    decoded: null,
+    promptTokens: null,
+    promptProcessed: null,
+    promptCached: null,
+    speculative: false,
+    draftMax: null,
+    temperature: null,
+    topP: null,
+    nPredict: null
+  });
+  assert.equal(used.nPast, 62 + 60);
+  assert.deepEqual([used.task, used.decoded, used.promptProcessed, used.nPredict], [0, 60, 3, 60]);
+  assert.equal(used.topP.toFixed(2), '0.95');
+});
+
+test('takes n_past and draft settings from older builds', () => {
+  const [slot] = slotDetails([
+    { id: 3, n_ctx: 4096, n_past: 900, is_processing: true, speculative: true,
+      params: { 'speculative.n_max': 16, n_predict: -1 }, next_token: { n_decoded: 12 } }
+  ]);
+  assert.deepEqual([slot.nPast, slot.decoded, slot.speculative, slot.draftMax, slot.nPredict], [900, 12, true, 16, -1]);
+  assert.equal(slotDetails(null), null);
+});
+
 test('summarizes the static server properties', () => {
   assert.deepEqual(summarizeProps(props), {
     modelPath: '/Users/johnpetroff/.ollama/models/blobs/sha256-7f4030143c1c477224c5434f8272c662a8b042079a0a584f0a27a1684fe2e1fa',
     totalSlots: 2,
     buildInfo: 'b10210-000547513',
+    modalities: { vision: false, video: false, audio: false },
     metricsEnabled: true
   });
 });
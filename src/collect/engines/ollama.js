@@ -2,12 +2,45 @@
 // CLI's PROCESSOR column is derived from SizeVRAM vs Size in cmd.go, so we
 // compute the same split from the raw byte counts and skip the text entirely.
 
+// A bare ":port" means this machine, as it does for Ollama itself.
 export function resolveHost(env = process.env) {
   const raw = env.OLLAMA_HOST;
   if (!raw) return 'http://127.0.0.1:11434';
+  if (raw.startsWith(':')) return `http://127.0.0.1${raw}`;
   return /^https?:\/\//.test(raw) ? raw : `http://${raw}`;
 }
 
+// Several hosts can be monitored at once. Each entry takes the same forms
+// OLLAMA_HOST does; with none given, OLLAMA_HOST (or the default) is the one.
+export function resolveHosts(hosts = [], env = process.env) {
+  const resolved = hosts.map((raw) => resolveHost({ OLLAMA_HOST: raw }).replace(/\/+$/, ''));
+  return resolved.length ? [...new Set(resolved)] : [resolveHost(env)];
+}
+
+// Only a host on this machine can be matched against the local process table.
+export function isLocalHost(host) {
+  try {
+    const { hostname } = new URL(host);
+    return ['127.0.0.1', 'localhost', '[::1]', '0.0.0.0'].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// The port a host is reached on. URL leaves the port empty when it is the
+// scheme's default, so `http://gpu-box:80` and `https://gpu-box` need filling in.
+export function hostPort(host) {
+  const { protocol, port } = new URL(host);
+  if (port) return Number(port);
+  return protocol === 'https:' ? 443 : 80;
+}
+
+// The polled host whose runners are this machine's Ollama engine, if any.
+export function localOllama(snapshot) {
+  const hosts = snapshot.ollamaHosts ?? (snapshot.ollama ? [snapshot.ollama] : []);
+  return hosts.find((state) => isLocalHost(state.host)) ?? null;
+}
+
 export function placementOf(size, sizeVram) {
   if (size === 0 || sizeVram > size) return { cpuPct: null, gpuPct: null };
   if (sizeVram === 0) return { cpuPct: 100, gpuPct: 0 };
@@ -40,6 +73,19 @@ export function normalizePs(payload) {
   });
 }
 
+// A negative keep_alive makes Ollama set expires_at about 292 years out
+// (now + the largest Go duration), so anything past a century means "never".
+const FOREVER_MS = 100 * 365 * 24 * 3600 * 1000;
+
+// Milliseconds until Ollama unloads the model: Infinity when it never will,
+// null when it didn't say.
+export function keepAliveRemaining(expiresAt, now) {
+  const at = expiresAt ? Date.parse(expiresAt) : NaN;
+  if (Number.isNaN(at)) return null;
+  if (at - now > FOREVER_MS) return Infinity;
+  return Math.max(0, at - now);
+}
+
 export function normalizeTags(payload) {
   const models = payload?.models;
   if (!Array.isArray(models)) return [];
@@ -51,6 +97,27 @@ export function normalizeTags(payload) {
   }));
 }
 
+// /api/show describes a model in full. The context length lives under an
+// architecture-specific key in model_info (e.g. "qwen3.context_length").
+export function normalizeShow(payload) {
+  const info = payload?.model_info ?? {};
+  const arch = info['general.architecture'];
+  return {
+    family: payload?.details?.family ?? arch ?? null,
+    parameterSize: payload?.details?.parameter_size ?? null,
+    parameterCount: info['general.parameter_count'] ?? null,
+    quant: payload?.details?.quantization_level ?? null,
+    format: payload?.details?.format ?? null,
+    contextLength: (arch && info[`${arch}.context_length`]) ?? null,
+    capabilities: payload?.capabilities ?? [],
+    template: payload?.template ?? '',
+    system: payload?.system ?? '',
+    parameters: payload?.parameters ?? '',
+    license: payload?.license ?? '',
+    modelfile: payload?.modelfile ?? ''
+  };
+}
+
 async function getJson(url, timeoutMs) {
   const signal = AbortSignal.timeout(timeoutMs);
   const res = await fetch(url, { signal });
@@ -58,6 +125,181 @@ async function getJson(url, timeoutMs) {
   return res.json();
 }
 
+async function sendJson(url, body, timeoutMs, method = 'POST') {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) {
+    // Ollama explains refusals in an {"error": "..."} body.
+    const detail = await res.json().then((b) => b.error).catch(() => null);
+    throw new Error(detail ?? `${url} responded ${res.status}`);
+  }
+  // Delete and copy answer 200 with an empty body.
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// --- actions ---
+//
+// The UI calls these in response to a keypress; the collector never does.
+
+// A generate request with no prompt and keep_alive 0 is Ollama's documented way
+// to evict a model: it answers at once with done_reason "unload".
+export function unloadModel({ host, model }) {
+  return sendJson(`${host}/api/generate`, { model, keep_alive: 0 }, 10_000);
+}
+
+// An empty prompt makes Ollama load the weights and return without generating.
+// Ollama reports its own load_duration (nanoseconds) when it has one; the wall
+// clock is measured here too, since it also covers queueing and HTTP.
+// Cold loads of large models can take minutes, hence the long timeout.
+export async function loadModel({ host, model, keepAlive }, now = () => performance.now()) {
+  const startedAt = now();
+  const reply = await sendJson(
+    `${host}/api/generate`,
+    { model, prompt: '', keep_alive: keepAlive, stream: false },
+    10 * 60_000
+  );
+  return {
+    wallMs: Math.round(now() - startedAt),
+    loadMs: typeof reply.load_duration === 'number' ? Math.round(reply.load_duration / 1e6) : null
+  };
+}
+
+// Pulls stream one JSON object per line: a status, plus digest/total/completed
+// while a layer downloads. Each event goes to `onEvent` as it arrives. Aborting
+// `signal` drops the connection, which is how Ollama's own CLI cancels a pull;
+// the partial blobs stay on disk and a later pull resumes from them.
+export async function pullModel({ host, model, signal, onEvent }) {
+  const res = await fetch(`${host}/api/pull`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, stream: true }),
+    signal
+  });
+  if (!res.ok) {
+    const detail = await res.json().then((b) => b.error).catch(() => null);
+    throw new Error(detail ?? `${host}/api/pull responded ${res.status}`);
+  }
+
+  const decoder = new TextDecoder();
+  let pending = '';
+  const handle = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    // Failures after the stream has started arrive in-band, not as a status code.
+    if (event.error) throw new Error(event.error);
+    onEvent(event);
+  };
+
+  for await (const chunk of res.body) {
+    pending += decoder.decode(chunk, { stream: true });
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    lines.forEach(handle);
+  }
+  handle(pending + decoder.decode());
+}
+
+// Folds pull events into per-layer progress. Rates are averaged over the bytes
+// seen since this tracker first saw the layer, so a resumed layer's existing
+// bytes don't count as instant throughput.
+export function createPullTracker(now = () => Date.now()) {
+  const layers = new Map();
+  let status = 'starting';
+
+  return {
+    update(event) {
+      status = event.status ?? status;
+      if (!event.digest || !event.total) return;
+
+      const at = now();
+      const completed = event.completed ?? 0;
+      const layer = layers.get(event.digest);
+      if (!layer) {
+        layers.set(event.digest, {
+          digest: event.digest,
+          total: event.total,
+          completed,
+          startBytes: completed,
+          startAt: at,
+          at
+        });
+      } else {
+        Object.assign(layer, { total: event.total, completed, at });
+      }
+    },
+
+    progress() {
+      return {
+        status,
+        done: status === 'success',
+        layers: [...layers.values()].map(({ digest, total, completed, startBytes, startAt, at }) => {
+          const seconds = (at - startAt) / 1000;
+          const rate = seconds > 0 ? (completed - startBytes) / seconds : null;
+          const remaining = total - completed;
+          return {
+            digest,
+            total,
+            completed,
+            rate,
+            etaMs: remaining <= 0 ? 0 : rate ? Math.round((remaining / rate) * 1000) : null
+          };
+        })
+      };
+    }
+  };
+}
+
+export function deleteModel({ host, model }) {
+  return sendJson(`${host}/api/delete`, { model }, 10_000, 'DELETE');
+}
+
+// A copy is a new manifest pointing at the same blobs, so it costs no disk.
+export function copyModel({ host, source, destination }) {
+  return sendJson(`${host}/api/copy`, { source, destination }, 10_000);
+}
+
+export async function showModel({ host, model }) {
+  return normalizeShow(await sendJson(`${host}/api/show`, { model }, 10_000));
+}
+
+// A model's details only change when its tag is pulled again, which changes
+// its digest, so they are cached per host, name and digest. The short id
+// isn't enough on its own: a model listed without a digest has an empty one.
+// Concurrent opens share one request; a failed one is forgotten so it can be
+// retried.
+export function createShowCache(show = showModel) {
+  const byModel = new Map();
+  return function cachedShow({ host, model, digest }) {
+    const key = JSON.stringify([host, model, digest ?? '']);
+    if (!byModel.has(key)) {
+      byModel.set(
+        key,
+        show({ host, model }).catch((error) => {
+          byModel.delete(key);
+          throw error;
+        })
+      );
+    }
+    return byModel.get(key);
+  };
+}
+
+// Blobs are shared between tags: a copy, or another tag of the same build,
+// has the same digest, and deleting one of them frees nothing while the other
+// remains. Layers shared between different builds can't be seen from /api/tags,
+// so the figure is an upper bound.
+export function reclaimedBytes(disk, model) {
+  const entry = disk.find((m) => m.name === model);
+  if (!entry) return 0;
+  const shared = disk.some((m) => m.name !== model && m.id === entry.id);
+  return shared ? 0 : entry.diskBytes;
+}
+
 export async function readOllama({ host = resolveHost(), withTags = false } = {}) {
   try {
     const loaded = normalizePs(await getJson(`${host}/api/ps`, 2000));
@@ -69,3 +311,9 @@ export async function readOllama({ host = resolveHost(), withTags = false } = {}
     return { up: false, host, loaded: [], disk: null, error: err.message };
   }
 }
+
+// Every host is polled in parallel with its own timeout, so one box being down
+// costs the tick nothing beyond that host's own request.
+export function readOllamaHosts(hosts, { withTags = false } = {}) {
+  return Promise.all(hosts.map((host) => readOllama({ host, withTags })));
+}
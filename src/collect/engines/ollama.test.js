@@ -1,7 +1,32 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 
-import { placementOf, normalizePs, normalizeTags, resolveHost } from './ollama.js';
+import {
+  placementOf,
+  normalizePs,
+  normalizeTags,
+  resolveHost,
+  resolveHosts,
+  isLocalHost,
+  hostPort,
+  readOllamaHosts,
+  unloadModel,
+  loadModel,
+  pullModel,
+  createPullTracker,
+  deleteModel,
+  copyModel,
+  reclaimedBytes,
+  normalizeShow,
+  createShowCache,
+  keepAliveRemaining
+} from './ollama.js';
+
+const fixture = (name) =>
+  readFileSync(fileURLToPath(new URL(`../__fixtures__/${name}`, import.meta.url)), 'utf8');
 
 // Mirrors the switch in ollama's cmd.go ListRunningHandler, which derives the
 // PROCESSOR column from SizeVRAM vs Size. We compute it from the same numbers
@@ -88,3 +113,302 @@ test('honours OLLAMA_HOST when it carries a scheme', () => {
 test('adds a scheme to a bare OLLAMA_HOST value', () => {
   assert.equal(resolveHost({ OLLAMA_HOST: '127.0.0.1:9999' }), 'http://127.0.0.1:9999');
 });
+
+test('reads a bare port as this machine, like Ollama does', () => {
+  assert.equal(resolveHost({ OLLAMA_HOST: ':11435' }), 'http://127.0.0.1:11435');
+});
+
+test('resolves several hosts, adding schemes and dropping duplicates', () => {
+  assert.deepEqual(resolveHosts(['box1:11434', 'http://box2:11434/', 'box1:11434']), [
+    'http://box1:11434',
+    'http://box2:11434'
+  ]);
+});
+
+test('falls back to OLLAMA_HOST when no hosts are given', () => {
+  assert.deepEqual(resolveHosts([], { OLLAMA_HOST: 'box:9999' }), ['http://box:9999']);
+});
+
+test('recognizes loopback hosts as this machine', () => {
+  assert.equal(isLocalHost('http://127.0.0.1:11434'), true);
+  assert.equal(isLocalHost('http://localhost:11434'), true);
+  assert.equal(isLocalHost('http://192.168.1.20:11434'), false);
+});
+
+test('reads a host\'s port, or its scheme\'s default when the address has none', () => {
+  assert.equal(hostPort('http://127.0.0.1:8080'), 8080);
+  assert.equal(hostPort('http://gpu-box:80'), 80);
+  assert.equal(hostPort('http://gpu-box'), 80);
+  assert.equal(hostPort('https://gpu-box'), 443);
+});
+
+// Stub Ollama servers on ephemeral ports; each answers /api/ps with its own model.
+async function stubOllama(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, host: `http://127.0.0.1:${server.address().port}` };
+}
+
+const answerPs = (name) => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(
+    req.url === '/api/ps'
+      ? { models: [{ name, size: 10, size_vram: 10, digest: 'abc' }] }
+      : { models: [{ name, size: 5, digest: 'abc' }] }
+  ));
+};
+
+test('polls every host and keeps each one\'s state apart', async () => {
+  const a = await stubOllama(answerPs('llama3.1:8b'));
+  const b = await stubOllama(answerPs('qwen3:0.6b'));
+  const broken = await stubOllama((req, res) => {
+    res.writeHead(500);
+    res.end();
+  });
+
+  try {
+    const [first, second, third] = await readOllamaHosts([a.host, b.host, broken.host], { withTags: true });
+
+    assert.equal(first.host, a.host);
+    assert.equal(first.loaded[0].name, 'llama3.1:8b');
+    assert.equal(second.disk[0].name, 'qwen3:0.6b');
+    assert.equal(third.up, false);
+    assert.match(third.error, /responded 500/);
+  } finally {
+    for (const { server } of [a, b, broken]) server.close();
+  }
+});
+
+test('reports a host with nothing listening as down', async () => {
+  const { server, host } = await stubOllama(() => {});
+  await new Promise((resolve) => server.close(resolve));
+
+  const [state] = await readOllamaHosts([host]);
+  assert.equal(state.up, false);
+  assert.deepEqual(state.loaded, []);
+});
+
+test('unloads a model with an empty generate request and keep_alive 0', async () => {
+  let received = null;
+  const { server, host } = await stubOllama((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received = { method: req.method, url: req.url, body: JSON.parse(body) };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: 'qwen3:0.6b', done: true, done_reason: 'unload' }));
+    });
+  });
+
+  try {
+    const reply = await unloadModel({ host, model: 'qwen3:0.6b' });
+    assert.deepEqual(received, {
+      method: 'POST',
+      url: '/api/generate',
+      body: { model: 'qwen3:0.6b', keep_alive: 0 }
+    });
+    assert.equal(reply.done_reason, 'unload');
+  } finally {
+    server.close();
+  }
+});
+
+test('surfaces the error Ollama gives for a failed action', async () => {
+  const { server, host } = await stubOllama((req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: "model 'nope' not found" }));
+  });
+
+  try {
+    await assert.rejects(unloadModel({ host, model: 'nope' }), /model 'nope' not found/);
+  } finally {
+    server.close();
+  }
+});
+
+test('loads a model with an empty prompt and reports both load durations', async () => {
+  let received = null;
+  const { server, host } = await stubOllama((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received = JSON.parse(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: 'qwen3:0.6b', done: true, done_reason: 'load', load_duration: 2_345_678_901 }));
+    });
+  });
+
+  try {
+    const ticks = [1000, 3500];
+    const timing = await loadModel({ host, model: 'qwen3:0.6b', keepAlive: '30m' }, () => ticks.shift());
+
+    assert.deepEqual(received, { model: 'qwen3:0.6b', prompt: '', keep_alive: '30m', stream: false });
+    assert.deepEqual(timing, { wallMs: 2500, loadMs: 2346 });
+  } finally {
+    server.close();
+  }
+});
+
+test('reports Ollama\'s load time as unknown when the reply omits it', async () => {
+  const { server, host } = await stubOllama((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: 'qwen3:0.6b', done: true }));
+    });
+  });
+
+  try {
+    assert.equal((await loadModel({ host, model: 'qwen3:0.6b', keepAlive: -1 })).loadMs, null);
+  } finally {
+    server.close();
+  }
+});
+
+test('streams pull events as they arrive, including lines split across chunks', async () => {
+  const { server, host } = await stubOllama((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.write('{"status":"pulling manifest"}\n{"status":"pulling sha256:aa","digest":"sha256:aa",');
+    res.write('"total":100,"completed":40}\n');
+    res.end('{"status":"success"}');
+  });
+
+  try {
+    const events = [];
+    await pullModel({ host, model: 'qwen3:0.6b', onEvent: (event) => events.push(event.status) });
+    assert.deepEqual(events, ['pulling manifest', 'pulling sha256:aa', 'success']);
+  } finally {
+    server.close();
+  }
+});
+
+test('rejects with the error Ollama sends mid-stream', async () => {
+  const { server, host } = await stubOllama((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.end('{"status":"pulling manifest"}\n{"error":"pull model manifest: file does not exist"}\n');
+  });
+
+  try {
+    await assert.rejects(
+      pullModel({ host, model: 'nope', onEvent: () => {} }),
+      /file does not exist/
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('tracks per-layer progress, rate and time remaining', () => {
+  const ticks = [0, 2000];
+  const tracker = createPullTracker(() => ticks.shift());
+  tracker.update({ status: 'pulling sha256:aa', digest: 'sha256:aa', total: 1000, completed: 200 });
+  tracker.update({ status: 'pulling sha256:aa', digest: 'sha256:aa', total: 1000, completed: 600 });
+
+  // 400 bytes in 2s since the layer was first seen; the 200 it resumed from don't count.
+  assert.deepEqual(tracker.progress(), {
+    status: 'pulling sha256:aa',
+    done: false,
+    layers: [{ digest: 'sha256:aa', total: 1000, completed: 600, rate: 200, etaMs: 2000 }]
+  });
+});
+
+test('leaves rate and time remaining unknown until a layer has progressed', () => {
+  const tracker = createPullTracker(() => 0);
+  tracker.update({ status: 'pulling manifest' });
+  tracker.update({ status: 'pulling sha256:bb', digest: 'sha256:bb', total: 50 });
+  tracker.update({ status: 'success' });
+
+  const { done, layers } = tracker.progress();
+  assert.equal(done, true);
+  assert.deepEqual(layers, [{ digest: 'sha256:bb', total: 50, completed: 0, rate: null, etaMs: null }]);
+});
+
+test('deletes and copies models with the methods and bodies Ollama expects', async () => {
+  const received = [];
+  const { server, host } = await stubOllama((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push([req.method, req.url, JSON.parse(body)]);
+      res.writeHead(200);
+      res.end();
+    });
+  });
+
+  try {
+    await deleteModel({ host, model: 'qwen3:0.6b' });
+    await copyModel({ host, source: 'qwen3:0.6b', destination: 'qwen3:backup' });
+    assert.deepEqual(received, [
+      ['DELETE', '/api/delete', { model: 'qwen3:0.6b' }],
+      ['POST', '/api/copy', { source: 'qwen3:0.6b', destination: 'qwen3:backup' }]
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+test('counts a deleted model\'s size as reclaimed only when no other tag shares it', () => {
+  const disk = [
+    { name: 'qwen3:0.6b', id: '7df6b6e094', diskBytes: 522_000_000 },
+    { name: 'qwen3:backup', id: '7df6b6e094', diskBytes: 522_000_000 },
+    { name: 'llama3.1:8b', id: '46e0c10c03', diskBytes: 4_900_000_000 }
+  ];
+  assert.equal(reclaimedBytes(disk, 'llama3.1:8b'), 4_900_000_000);
+  assert.equal(reclaimedBytes(disk, 'qwen3:0.6b'), 0);
+  assert.equal(reclaimedBytes(disk, 'missing:1b'), 0);
+});
+
+test('normalizes /api/show, reading the context length under the model\'s architecture', () => {
+  const details = normalizeShow(JSON.parse(fixture('ollama-show.json')));
+  assert.equal(details.family, 'qwen3');
+  assert.equal(details.parameterSize, '751.63M');
+  assert.equal(details.parameterCount, 751632384);
+  assert.equal(details.quant, 'Q4_K_M');
+  assert.equal(details.contextLength, 40960);
+  assert.deepEqual(details.capabilities, ['completion', 'tools', 'thinking']);
+  assert.equal(details.system, 'You are a concise assistant.');
+  assert.match(details.parameters, /^temperature\s+0\.6$/m);
+  assert.match(details.modelfile, /^FROM /m);
+});
+
+test('leaves show fields empty when an older Ollama omits them', () => {
+  const details = normalizeShow({ details: { family: 'llama' } });
+  assert.equal(details.contextLength, null);
+  assert.deepEqual(details.capabilities, []);
+  assert.equal(details.license, '');
+});
+
+test('fetches a model\'s details once, and again only after a failure', async () => {
+  const calls = [];
+  let fail = true;
+  const show = async ({ model }) => {
+    calls.push(model);
+    if (fail) throw new Error('connection refused');
+    return { family: 'qwen3' };
+  };
+  const cachedShow = createShowCache(show);
+
+  await assert.rejects(cachedShow({ host: 'h', model: 'qwen3:0.6b', digest: '7df6b6e094' }));
+  fail = false;
+  await cachedShow({ host: 'h', model: 'qwen3:0.6b', digest: '7df6b6e094' });
+  await cachedShow({ host: 'h', model: 'qwen3:0.6b', digest: '7df6b6e094' });
+  assert.deepEqual(calls, ['qwen3:0.6b', 'qwen3:0.6b']);
+});
+
+test('keeps models without a digest apart in the details cache', async () => {
+  const cachedShow = createShowCache(async ({ host, model }) => ({ host, model }));
+  assert.deepEqual(await cachedShow({ host: 'h', model: 'a:latest', digest: '' }), { host: 'h', model: 'a:latest' });
+  assert.deepEqual(await cachedShow({ host: 'h', model: 'b:latest', digest: '' }), { host: 'h', model: 'b:latest' });
+  assert.deepEqual(await cachedShow({ host: 'h2', model: 'a:latest', digest: '' }), { host: 'h2', model: 'a:latest' });
+});
+
+test('counts down to expires_at, and reads a negative keep-alive as never', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(keepAliveRemaining('2026-10-19T12:04:30Z', now), 270_000);
+  assert.equal(keepAliveRemaining('2026-10-19T11:59:00Z', now), 0);
+  // What Ollama reports for keep_alive: -1.
+  assert.equal(keepAliveRemaining('2318-01-27T11:47:16.854775807+01:00', now), Infinity);
+  assert.equal(keepAliveRemaining(null, now), null);
+});
@@ -0,0 +1,125 @@
+// Prometheus text exposition, as served on /metrics by llama-server and vLLM.
+// Samples keep their labels and timestamps; a histogram's _bucket, _sum and
+// _count samples stay under their own names, as the format writes them, and
+// histogramOf() puts one back together. The HTTP helper both servers'
+// readers fetch with lives here too.
+
+// A label value may hold escaped quotes, backslashes and newlines, and any
+// of `,{}=` unescaped, so labels are read character by character.
+function parseLabels(text, start) {
+  const labels = {};
+  let i = start;
+  while (i < text.length && text[i] !== '}') {
+    const name = text.slice(i).match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*"/);
+    if (!name) return null;
+    i += name[0].length;
+    let value = '';
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        i += 1;
+        value += text[i] === 'n' ? '\n' : text[i];
+      } else {
+        value += text[i];
+      }
+      i += 1;
+    }
+    if (i >= text.length) return null;
+    labels[name[1]] = value;
+    i += 1; // closing quote
+    const sep = text.slice(i).match(/^\s*,?\s*/);
+    i += sep[0].length;
+  }
+  return i < text.length ? { labels, end: i + 1 } : null;
+}
+
+const number = (text) => {
+  if (text === '+Inf' || text === 'Inf') return Infinity;
+  if (text === '-Inf') return -Infinity;
+  return Number(text);
+};
+
+// Returns `{ [sampleName]: [{ labels, value, timestamp }] }`, with
+// `timestamp` in milliseconds or null. Lines that don't parse are skipped.
+export function parsePrometheus(text) {
+  const samples = {};
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const name = trimmed.match(/^[A-Za-z_:][A-Za-z0-9_:]*/);
+    if (!name) continue;
+    let rest = trimmed.slice(name[0].length);
+    let labels = {};
+    if (rest.startsWith('{')) {
+      const parsed = parseLabels(rest, 1);
+      if (!parsed) continue;
+      labels = parsed.labels;
+      rest = rest.slice(parsed.end);
+    }
+
+    const fields = rest.trim().split(/\s+/);
+    const value = number(fields[0]);
+    if (fields[0] === '' || (Number.isNaN(value) && fields[0] !== 'NaN')) continue;
+    const timestamp = fields[1] !== undefined && /^-?\d+$/.test(fields[1]) ? Number(fields[1]) : null;
+
+    (samples[name[0]] ??= []).push({ labels, value, timestamp });
+  }
+
+  return samples;
+}
+
+// Every value of a metric, whatever its labels.
+export const valuesOf = (samples, name) => (samples[name] ?? []).map((sample) => sample.value);
+
+// The sum of a metric across its label sets, which for a server's single
+// model is just its value; null when the metric is missing.
+export function sumOf(samples, name) {
+  const values = valuesOf(samples, name);
+  return values.length ? values.reduce((a, b) => a + b, 0) : null;
+}
+
+const labelKey = (labels, omit) =>
+  JSON.stringify(Object.entries(labels).filter(([key]) => key !== omit).sort(([a], [b]) => a.localeCompare(b)));
+
+// A histogram, one entry per label set: cumulative buckets in ascending
+// `le` order, and its sum and count.
+export function histogramOf(samples, name) {
+  const series = new Map();
+  const entry = (labels, omit) => {
+    const key = labelKey(labels, omit);
+    if (!series.has(key)) {
+      const own = Object.fromEntries(Object.entries(labels).filter(([label]) => label !== omit));
+      series.set(key, { labels: own, buckets: [], sum: null, count: null });
+    }
+    return series.get(key);
+  };
+
+  for (const sample of samples[`${name}_bucket`] ?? []) {
+    entry(sample.labels, 'le').buckets.push({ le: number(sample.labels.le), count: sample.value });
+  }
+  for (const sample of samples[`${name}_sum`] ?? []) entry(sample.labels).sum = sample.value;
+  for (const sample of samples[`${name}_count`] ?? []) entry(sample.labels).count = sample.value;
+
+  for (const histogram of series.values()) histogram.buckets.sort((a, b) => a.le - b.le);
+  return [...series.values()];
+}
+
+// Per-second rate from two readings of a cumulative counter, the way
+// cpuPercentFor turns cumulative CPU time into a percentage. The first poll
+// has nothing to compare against and a restarted server's counter starts
+// over; both read as unknown rather than as a misleading zero.
+export function counterRate(prev, next, elapsedMs) {
+  if (typeof prev !== 'number' || typeof next !== 'number' || elapsedMs <= 0) return null;
+  const delta = next - prev;
+  if (delta < 0) return null;
+  return Math.round((delta / (elapsedMs / 1000)) * 10) / 10;
+}
+
+// One request to a server's HTTP API, JSON by default or /metrics text with
+// `asText`. A non-2xx answer is null; a timeout or refused connection throws.
+export async function get(url, timeoutMs, asText = false) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) return null;
+  return asText ? res.text() : res.json();
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { parsePrometheus, sumOf, histogramOf, counterRate } from './prometheus.js';
+
+const fixture = (name) =>
+  readFileSync(fileURLToPath(new URL(`../__fixtures__/${name}`, import.meta.url)), 'utf8');
+
+const llamacpp = parsePrometheus(fixture('llamacpp-metrics.txt'));
+const vllm = parsePrometheus(fixture('vllm-metrics.txt'));
+
+test('parses prometheus samples into name and value pairs', () => {
+  assert.deepEqual(llamacpp['llamacpp:tokens_predicted_total'], [{ labels: {}, value: 60, timestamp: null }]);
+  assert.equal(sumOf(llamacpp, 'llamacpp:predicted_tokens_seconds'), 215.827);
+});
+
+test('ignores HELP and TYPE comment lines', () => {
+  assert.equal(llamacpp['#'], undefined);
+  assert.equal(Object.keys(llamacpp).every((k) => k.startsWith('llamacpp:')), true);
+});
+
+test('parses a zero-valued gauge rather than dropping it', () => {
+  assert.equal(sumOf(llamacpp, 'llamacpp:requests_processing'), 0);
+});
+
+test('returns an empty object for text that has no samples', () => {
+  assert.deepEqual(parsePrometheus('# HELP only a comment'), {});
+});
+
+test('keeps the labels of labeled samples', () => {
+  assert.deepEqual(vllm['vllm:num_requests_running'], [
+    { labels: { engine: '0', model_name: 'qwen2.5-7b' }, value: 3, timestamp: null }
+  ]);
+  assert.equal(vllm['python_gc_objects_collected_total'].length, 3);
+});
+
+test('reads escaped label values, special values and timestamps', () => {
+  const samples = parsePrometheus([
+    'model_info{path="C:\\\\models\\\\a \\"b\\".gguf",note="x,y}z"} 1 1786500000000',
+    'queue_seconds{quantile="0.5"} NaN',
+    'queue_seconds{quantile="0.99"} +Inf',
+    'broken{label="unterminated} 1'
+  ].join('\n'));
+
+  assert.deepEqual(samples.model_info, [
+    { labels: { path: 'C:\\models\\a "b".gguf', note: 'x,y}z' }, value: 1, timestamp: 1786500000000 }
+  ]);
+  assert.ok(Number.isNaN(samples.queue_seconds[0].value));
+  assert.equal(samples.queue_seconds[1].value, Infinity);
+  assert.equal(samples.broken, undefined);
+});
+
+test('puts a histogram back together from its buckets, sum and count', () => {
+  assert.deepEqual(histogramOf(vllm, 'vllm:time_to_first_token_seconds'), [
+    {
+      labels: { engine: '0', model_name: 'qwen2.5-7b' },
+      buckets: [
+        { le: 0.04, count: 12 },
+        { le: 0.1, count: 40 },
+        { le: 0.25, count: 71 },
+        { le: Infinity, count: 80 }
+      ],
+      sum: 9.412,
+      count: 80
+    }
+  ]);
+  assert.deepEqual(histogramOf(vllm, 'vllm:no_such_histogram'), []);
+});
+
+test('turns a counter into a per-second rate between two polls', () => {
+  assert.equal(counterRate(20, 60, 2_000), 20);
+  // Nothing to compare against yet, or a counter that restarted.
+  assert.equal(counterRate(null, 60, 2_000), null);
+  assert.equal(counterRate(20_480, 100, 2_000), null);
+});
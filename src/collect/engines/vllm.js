@@ -0,0 +1,81 @@
+// vLLM server telemetry from its OpenAI-compatible API. /v1/models names the
+// served model and its context length; /metrics carries the scheduler's queue
+// and cumulative token counters, which become rates between polls. vLLM has
+// no slots, so its running requests stand in for busy ones.
+
+import { parsePrometheus, valuesOf, sumOf, counterRate, get } from './prometheus.js';
+
+// `previous` is the summary from the last poll, `elapsedMs` the time since.
+// The same fields as llama.cpp's summary. Samples are labeled with
+// model_name, and with an engine index when vLLM runs data-parallel, so
+// counts add up across engines and the KV cache in use (0-1) is averaged.
+export function summarizeVllmMetrics(text, previous = null, elapsedMs = 0) {
+  if (!text) return null;
+  const samples = parsePrometheus(text);
+  const promptTokens = sumOf(samples, 'vllm:prompt_tokens_total');
+  const tokensPredicted = sumOf(samples, 'vllm:generation_tokens_total');
+  // Renamed from gpu_cache_usage_perc in vLLM 0.10; a fraction despite the name.
+  const cache = valuesOf(samples, 'vllm:kv_cache_usage_perc');
+  const usage = cache.length ? cache : valuesOf(samples, 'vllm:gpu_cache_usage_perc');
+
+  return {
+    predictedTps: counterRate(previous?.tokensPredicted, tokensPredicted, elapsedMs),
+    promptTps: counterRate(previous?.promptTokens, promptTokens, elapsedMs),
+    tokensPredicted,
+    promptTokens,
+    processing: sumOf(samples, 'vllm:num_requests_running'),
+    deferred: sumOf(samples, 'vllm:num_requests_waiting'),
+    kvCacheUsage: usage.length ? usage.reduce((a, b) => a + b, 0) / usage.length : null
+  };
+}
+
+// A server can serve its model under another name (--served-model-name);
+// `root` is what was loaded.
+export function summarizeVllmModels(body) {
+  const model = body?.data?.[0];
+  if (!model) return null;
+
+  return {
+    modelPath: model.root ?? model.id,
+    servedName: model.id,
+    maxModelLen: model.max_model_len ?? null
+  };
+}
+
+// Running requests in the shape of llama.cpp's slot summary. vLLM batches up
+// to --max-num-seqs requests but doesn't publish that limit, so there is no
+// total.
+export function vllmSlots(metrics, models) {
+  if (!metrics || metrics.processing === null) return null;
+  return { total: null, processing: metrics.processing, nCtx: models?.maxModelLen ?? null };
+}
+
+// Takes the same options as readLlamaServer, with `props` holding the cached
+// /v1/models summary. /v1/models answers 401 on a server started with
+// --api-key, but /metrics never needs the key.
+export async function readVllmServer({
+  port,
+  host = '127.0.0.1',
+  base = `http://${host}:${port}`,
+  props = null,
+  previous = null,
+  elapsedMs = 0
+}) {
+  try {
+    const [models, text] = await Promise.all([
+      props ?? get(`${base}/v1/models`, 2000).then(summarizeVllmModels),
+      get(`${base}/metrics`, 2000, true)
+    ]);
+    const metrics = summarizeVllmMetrics(text, previous, elapsedMs);
+
+    return {
+      up: true,
+      props: models,
+      slots: vllmSlots(metrics, models),
+      slotDetails: null,
+      metrics
+    };
+  } catch {
+    return { up: false, props: props ?? null, slots: null, slotDetails: null, metrics: null };
+  }
+}
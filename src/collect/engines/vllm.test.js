@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { summarizeVllmMetrics, summarizeVllmModels, vllmSlots } from './vllm.js';
+
+const fixture = (name) =>
+  readFileSync(fileURLToPath(new URL(`../__fixtures__/${name}`, import.meta.url)), 'utf8');
+
+const metricsText = fixture('vllm-metrics.txt');
+const models = JSON.parse(fixture('vllm-models.json'));
+
+test('summarizes the queue, KV cache and token counters from labeled samples', () => {
+  assert.deepEqual(summarizeVllmMetrics(metricsText), {
+    predictedTps: null,
+    promptTps: null,
+    tokensPredicted: 20480,
+    promptTokens: 58112,
+    processing: 3,
+    deferred: 2,
+    kvCacheUsage: 0.4137
+  });
+});
+
+test('turns the token counters into rates against the previous poll', () => {
+  const previous = { tokensPredicted: 20080, promptTokens: 54112 };
+  const metrics = summarizeVllmMetrics(metricsText, previous, 2_000);
+  assert.equal(metrics.predictedTps, 200);
+  assert.equal(metrics.promptTps, 2000);
+});
+
+test('reads the KV cache under its newer name', () => {
+  const renamed = metricsText.replaceAll('vllm:gpu_cache_usage_perc', 'vllm:kv_cache_usage_perc');
+  assert.equal(summarizeVllmMetrics(renamed).kvCacheUsage, 0.4137);
+});
+
+test('adds up requests across the engines of a data-parallel server', () => {
+  const text = [
+    'vllm:num_requests_running{engine="0",model_name="m"} 2.0',
+    'vllm:num_requests_running{engine="1",model_name="m"} 1.0',
+    'vllm:gpu_cache_usage_perc{engine="0",model_name="m"} 0.5',
+    'vllm:gpu_cache_usage_perc{engine="1",model_name="m"} 0.25'
+  ].join('\n');
+  const metrics = summarizeVllmMetrics(text);
+  assert.equal(metrics.processing, 3);
+  assert.equal(metrics.kvCacheUsage, 0.375);
+});
+
+test('names the loaded model, not just the name it is served under', () => {
+  assert.deepEqual(summarizeVllmModels(models), {
+    modelPath: 'Qwen/Qwen2.5-7B-Instruct',
+    servedName: 'qwen2.5-7b',
+    maxModelLen: 32768
+  });
+  assert.equal(summarizeVllmModels({ object: 'list', data: [] }), null);
+});
+
+test('reports running requests where llama.cpp reports busy slots', () => {
+  const metrics = summarizeVllmMetrics(metricsText);
+  assert.deepEqual(vllmSlots(metrics, summarizeVllmModels(models)), { total: null, processing: 3, nCtx: 32768 });
+  assert.equal(vllmSlots(null, null), null);
+});
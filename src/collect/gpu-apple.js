@@ -10,8 +10,11 @@ const run = promisify(execFile);
 //
 // -w 0 disables line wrapping so the dictionary stays on one line; -d 1 keeps
 // the walk to the accelerator's own properties. Measured at ~24ms.
-export async function readGpu() {
-  if (os.platform() !== 'darwin') return null;
+//
+// Apple Silicon has exactly one accelerator, so this is always a zero- or
+// one-element list; it only takes that shape to match the discrete backends.
+export async function readAppleGpus() {
+  if (os.platform() !== 'darwin') return [];
   try {
     const { stdout } = await run(
       'ioreg',
@@ -19,12 +22,12 @@ export async function readGpu() {
       { timeout: 3000, maxBuffer: 4 * 1024 * 1024 }
     );
     const info = parseAcceleratorInfo(stdout);
-    if (!info) return null;
+    if (!info) return [];
     // Memory is unified, so the host's total is the GPU's total — the same
     // substitution nvtop makes via host_info(HOST_BASIC_INFO).max_mem.
-    return { ...info, totalBytes: os.totalmem() };
+    return [{ index: 0, ...info, totalBytes: os.totalmem() }];
   } catch {
-    return null;
+    return [];
   }
 }
 
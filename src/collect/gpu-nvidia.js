@@ -0,0 +1,99 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const run = promisify(execFile);
+
+// NVIDIA telemetry through nvidia-smi's query interface rather than NVML
+// bindings, which would mean a native dependency. The CSV form with
+// noheader,nounits is stable across driver versions and cheap to parse.
+const QUERY_FIELDS = [
+  'index',
+  'uuid',
+  'name',
+  'utilization.gpu',
+  'memory.used',
+  'memory.total',
+  'temperature.gpu',
+  'power.draw'
+];
+
+// Per-process allocations are keyed by uuid, not index, so the device query
+// carries the uuid to join on.
+const APP_FIELDS = ['pid', 'gpu_uuid', 'used_memory'];
+
+const MIB = 1024 * 1024;
+
+// Fields a driver cannot report come back as "[N/A]" or "[Not Supported]".
+const num = (raw) => {
+  if (raw === undefined || raw.startsWith('[')) return null;
+  const n = Number(raw);
+  return Number.isNaN(n) ? null : n;
+};
+
+const bytes = (mib) => (mib === null ? null : mib * MIB);
+
+const csvRows = (text, width) =>
+  text
+    .split('\n')
+    .map((line) => line.split(',').map((f) => f.trim()))
+    .filter((fields) => fields.length >= width);
+
+export function parseNvidiaSmi(text) {
+  const devices = [];
+
+  for (const fields of csvRows(text, QUERY_FIELDS.length)) {
+    const [index, uuid, name, util, usedMiB, totalMiB, temp, power] = fields;
+    if (num(index) === null) continue;
+
+    devices.push({
+      index: num(index),
+      uuid,
+      util: num(util),
+      // nounits leaves memory in MiB; everything else in the snapshot is bytes.
+      allocBytes: bytes(num(usedMiB)),
+      totalBytes: bytes(num(totalMiB)),
+      name,
+      cores: null, // nvidia-smi does not expose an SM or CUDA core count
+      temperatureC: num(temp),
+      powerW: num(power)
+    });
+  }
+
+  return devices;
+}
+
+export function parseNvidiaApps(text) {
+  const apps = [];
+
+  for (const [pid, uuid, usedMiB] of csvRows(text, APP_FIELDS.length)) {
+    if (num(pid) === null) continue;
+    apps.push({ pid: num(pid), uuid, usedBytes: bytes(num(usedMiB)) });
+  }
+
+  return apps;
+}
+
+// Attaches each compute process to the device(s) it allocated on. A model
+// split across cards shows up as the same pid under several uuids.
+export function attachProcesses(devices, apps) {
+  return devices.map((device) => ({
+    ...device,
+    processes: apps
+      .filter((app) => app.uuid === device.uuid)
+      .map(({ pid, usedBytes }) => ({ pid, usedBytes }))
+  }));
+}
+
+const smi = (args) => run('nvidia-smi', [...args, '--format=csv,noheader,nounits'], { timeout: 3000 });
+
+export async function readNvidiaGpus() {
+  try {
+    const [gpus, apps] = await Promise.all([
+      smi([`--query-gpu=${QUERY_FIELDS.join(',')}`]),
+      smi([`--query-compute-apps=${APP_FIELDS.join(',')}`]).catch(() => ({ stdout: '' }))
+    ]);
+    return attachProcesses(parseNvidiaSmi(gpus.stdout), parseNvidiaApps(apps.stdout));
+  } catch {
+    return [];
+  }
+}
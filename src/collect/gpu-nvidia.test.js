@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { parseNvidiaSmi, parseNvidiaApps, attachProcesses } from './gpu-nvidia.js';
+
+const read = (name) =>
+  readFileSync(fileURLToPath(new URL(`./__fixtures__/${name}`, import.meta.url)), 'utf8');
+
+const fixture = read('nvidia-smi-query.csv');
+const appsFixture = read('nvidia-smi-apps.csv');
+
+test('reads one device per csv line', () => {
+  assert.equal(parseNvidiaSmi(fixture).length, 2);
+});
+
+test('reads device utilization and name', () => {
+  const [gpu] = parseNvidiaSmi(fixture);
+  assert.equal(gpu.util, 87);
+  assert.equal(gpu.name, 'NVIDIA GeForce RTX 4090');
+});
+
+test('converts MiB memory figures to bytes', () => {
+  const [gpu] = parseNvidiaSmi(fixture);
+  assert.equal(gpu.allocBytes, 18422 * 1024 * 1024);
+  assert.equal(gpu.totalBytes, 24564 * 1024 * 1024);
+});
+
+test('reads temperature and power draw', () => {
+  const [gpu] = parseNvidiaSmi(fixture);
+  assert.equal(gpu.temperatureC, 71);
+  assert.equal(gpu.powerW, 312.45);
+});
+
+test('reports a field the driver marks [N/A] as null', () => {
+  assert.equal(parseNvidiaSmi(fixture)[1].powerW, null);
+});
+
+test('leaves core count unknown', () => {
+  assert.equal(parseNvidiaSmi(fixture)[0].cores, null);
+});
+
+test('returns no devices for empty output', () => {
+  assert.deepEqual(parseNvidiaSmi(''), []);
+});
+
+test('skips error lines nvidia-smi prints instead of data', () => {
+  const out = 'NVIDIA-SMI has failed because it couldn\'t communicate with the NVIDIA driver.';
+  assert.deepEqual(parseNvidiaSmi(out), []);
+});
+
+test('reads per-process allocations keyed by device uuid', () => {
+  assert.deepEqual(parseNvidiaApps(appsFixture)[0], {
+    pid: 48213,
+    uuid: 'GPU-5f8b2c1e-3a4d-4e6f-9b0a-1c2d3e4f5a6b',
+    usedBytes: 12288 * 1024 * 1024
+  });
+});
+
+test('lists a process split across two cards under both devices', () => {
+  const devices = attachProcesses(parseNvidiaSmi(fixture), parseNvidiaApps(appsFixture));
+  assert.deepEqual(devices[0].processes.map((p) => p.pid), [48213, 48290]);
+  assert.deepEqual(devices[1].processes, [{ pid: 48290, usedBytes: null }]);
+});
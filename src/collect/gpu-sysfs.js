@@ -0,0 +1,123 @@
+import { readFile, readdir } from 'fs/promises';
+import { readdirSync, existsSync } from 'fs';
+import path from 'path';
+
+// AMD (and, with fewer files, Intel) GPUs publish live telemetry through the
+// DRM class in sysfs, so ROCm boxes need no vendor tool at all. amdgpu exposes
+// gpu_busy_percent and the mem_info_vram_* counters; i915 exposes neither, so
+// its cards come back named but with unknown figures.
+//
+// amdgpu publishes the marketing name in product_name. Without it, the
+// driver and PCI id from uevent still tell two cards apart; hwmon's `name`
+// is only the driver, so it is the last resort.
+//
+// The root is a parameter so tests can point the walk at a fixture tree.
+
+const DRM_ROOT = '/sys/class/drm';
+
+// card0, card1, ... — not connector nodes such as card0-DP-1 or renderD128.
+const CARD = /^card(\d+)$/;
+
+async function readValue(file) {
+  try {
+    return (await readFile(file, 'utf8')).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function readNumber(file) {
+  const raw = await readValue(file);
+  if (raw === null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isNaN(n) ? null : n;
+}
+
+async function hwmonName(deviceDir) {
+  try {
+    const [first] = (await readdir(path.join(deviceDir, 'hwmon'))).sort();
+    return first ? readValue(path.join(deviceDir, 'hwmon', first, 'name')) : null;
+  } catch {
+    return null;
+  }
+}
+
+// The driver and PCI id, as in "i915 (8086:56A0)".
+async function ueventName(deviceDir) {
+  const text = await readValue(path.join(deviceDir, 'uevent'));
+  if (text === null) return null;
+  const fields = Object.fromEntries(
+    text.split('\n').map((line) => line.split('=')).filter((parts) => parts.length === 2)
+  );
+  if (!fields.PCI_ID) return null;
+  return fields.DRIVER ? `${fields.DRIVER} (${fields.PCI_ID})` : fields.PCI_ID;
+}
+
+async function deviceName(deviceDir) {
+  return (
+    (await readValue(path.join(deviceDir, 'product_name'))) ||
+    (await ueventName(deviceDir)) ||
+    (await hwmonName(deviceDir))
+  );
+}
+
+export async function listDrmCards({ root = DRM_ROOT } = {}) {
+  let entries;
+  try {
+    entries = await readdir(root);
+  } catch {
+    return [];
+  }
+
+  const cards = entries
+    .map((entry) => ({ entry, m: entry.match(CARD) }))
+    .filter(({ m }) => m)
+    .sort((a, b) => Number(a.m[1]) - Number(b.m[1]));
+
+  const devices = await Promise.all(
+    cards.map(async ({ entry, m }) => {
+      const deviceDir = path.join(root, entry, 'device');
+      if (!existsSync(deviceDir)) return null;
+
+      const [util, allocBytes, totalBytes, name] = await Promise.all([
+        readNumber(path.join(deviceDir, 'gpu_busy_percent')),
+        readNumber(path.join(deviceDir, 'mem_info_vram_used')),
+        readNumber(path.join(deviceDir, 'mem_info_vram_total')),
+        deviceName(deviceDir)
+      ]);
+
+      return {
+        index: Number(m[1]),
+        util,
+        allocBytes,
+        totalBytes,
+        name: name ?? entry,
+        cores: null
+      };
+    })
+  );
+
+  return devices.filter(Boolean);
+}
+
+const hasTelemetry = (gpu) => gpu.util !== null || gpu.totalBytes !== null;
+
+// Cards that report nothing (i915, virtual display adapters) would only add
+// rows of dashes, so the snapshot carries just the ones with live figures.
+export async function readSysfsGpus(options) {
+  return (await listDrmCards(options)).filter(hasTelemetry);
+}
+
+// Synchronous probe for backend selection, which runs once at startup.
+export function sysfsGpuPresent(root = DRM_ROOT) {
+  try {
+    return readdirSync(root).some(
+      (entry) =>
+        CARD.test(entry) &&
+        (existsSync(path.join(root, entry, 'device', 'gpu_busy_percent')) ||
+          existsSync(path.join(root, entry, 'device', 'mem_info_vram_total')))
+    );
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { listDrmCards, readSysfsGpus, sysfsGpuPresent } from './gpu-sysfs.js';
+
+const root = fileURLToPath(new URL('./__fixtures__/sysfs/class/drm', import.meta.url));
+
+test('finds each card but not connector or render nodes', async () => {
+  const devices = await listDrmCards({ root });
+  assert.deepEqual(devices.map((d) => d.index), [0, 1]);
+});
+
+test('reads amdgpu busy percent and VRAM counters', async () => {
+  const [amd] = await listDrmCards({ root });
+  assert.deepEqual(amd, {
+    index: 0,
+    util: 42,
+    allocBytes: 8589934592,
+    totalBytes: 25753026560,
+    name: 'AMD Radeon RX 7900 XTX',
+    cores: null
+  });
+});
+
+test('reports unknown figures for a card without amdgpu counters', async () => {
+  const intel = (await listDrmCards({ root }))[1];
+  // No product_name, so the driver and PCI id stand in.
+  assert.equal(intel.name, 'i915 (8086:56A0)');
+  assert.equal(intel.util, null);
+  assert.equal(intel.totalBytes, null);
+});
+
+test('keeps only the cards that report telemetry', async () => {
+  assert.deepEqual((await readSysfsGpus({ root })).map((d) => d.name), ['AMD Radeon RX 7900 XTX']);
+});
+
+test('falls back to the hwmon driver name when the device has no other', async () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'topollama-'));
+  mkdirSync(path.join(dir, 'card0', 'device', 'hwmon', 'hwmon0'), { recursive: true });
+  writeFileSync(path.join(dir, 'card0', 'device', 'hwmon', 'hwmon0', 'name'), 'amdgpu\n');
+  try {
+    assert.equal((await listDrmCards({ root: dir }))[0].name, 'amdgpu');
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
+
+test('returns no devices when the drm class is missing', async () => {
+  assert.deepEqual(await listDrmCards({ root: `${root}/nope` }), []);
+});
+
+test('detects a telemetry-capable card for backend selection', () => {
+  assert.equal(sysfsGpuPresent(root), true);
+  assert.equal(sysfsGpuPresent(`${root}/nope`), false);
+});
@@ -0,0 +1,88 @@
+import os from 'os';
+import path from 'path';
+import { accessSync, constants } from 'fs';
+
+import { readAppleGpus } from './gpu-apple.js';
+import { readNvidiaGpus } from './gpu-nvidia.js';
+import { readSysfsGpus, sysfsGpuPresent } from './gpu-sysfs.js';
+
+// Picks a GPU backend once per collector rather than probing every tick: the
+// platform and installed tools do not change while topollama runs.
+
+export function onPath(command, env = process.env) {
+  for (const dir of (env.PATH ?? '').split(path.delimiter)) {
+    if (!dir) continue;
+    try {
+      accessSync(path.join(dir, command), constants.X_OK);
+      return true;
+    } catch {
+      // not in this directory
+    }
+  }
+  return false;
+}
+
+export function pickGpuBackend({
+  platform = os.platform(),
+  hasCommand = onPath,
+  hasSysfsGpu = sysfsGpuPresent
+} = {}) {
+  if (platform === 'darwin') return 'apple';
+  if (platform !== 'linux') return null;
+  if (hasCommand('nvidia-smi')) return 'nvidia';
+  if (hasSysfsGpu()) return 'sysfs';
+  return null;
+}
+
+// Every backend returns a list of devices, one entry per card.
+const READERS = {
+  apple: readAppleGpus,
+  nvidia: readNvidiaGpus,
+  sysfs: readSysfsGpus
+};
+
+export function createGpuReader(options) {
+  const backend = pickGpuBackend(options);
+  return backend ? READERS[backend] : async () => [];
+}
+
+// Which devices hold memory for any of the given pids. Only backends that
+// report per-process allocations (nvidia-smi) can answer; the rest get null so
+// the UI can tell "unknown" apart from "on no device".
+export function devicesForPids(gpus, pids) {
+  if (!gpus.some((gpu) => Array.isArray(gpu.processes))) return null;
+  return gpus
+    .filter((gpu) => gpu.processes?.some((p) => pids.includes(p.pid)))
+    .map((gpu) => gpu.index);
+}
+
+const gpuBytesFor = (gpus, pid) =>
+  gpus.reduce(
+    (sum, gpu) =>
+      sum + (gpu.processes ?? []).filter((p) => p.pid === pid).reduce((n, p) => n + (p.usedBytes ?? 0), 0),
+    0
+  );
+
+// /api/ps does not say which runner serves which model, and a runner names its
+// weights by blob digest rather than by model. With one model loaded the answer
+// is unambiguous; with several, each model is paired with the runner whose GPU
+// allocation is nearest its size_vram — the two figures track each other
+// closely because the runner's allocation is the offloaded weights plus KV.
+export function placeModels(loaded, runnerPids, gpus) {
+  const runners = runnerPids
+    .map((pid) => ({ pid, devices: devicesForPids(gpus, [pid]), bytes: gpuBytesFor(gpus, pid) }))
+    .filter((runner) => runner.devices !== null && runner.devices.length > 0);
+
+  if (runners.length === 0) return loaded.map((model) => ({ ...model, devices: null }));
+
+  if (loaded.length === 1) {
+    return [{ ...loaded[0], devices: devicesForPids(gpus, runnerPids) }];
+  }
+
+  const free = [...runners];
+  return loaded.map((model) => {
+    if (free.length === 0) return { ...model, devices: null };
+    free.sort((a, b) => Math.abs(a.bytes - model.vramBytes) - Math.abs(b.bytes - model.vramBytes));
+    return { ...model, devices: free.shift().devices };
+  });
+}
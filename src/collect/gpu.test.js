@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pickGpuBackend, devicesForPids, placeModels } from './gpu.js';
+
+const has = (...commands) => (command) => commands.includes(command);
+
+const noSysfs = () => false;
+const sysfs = () => true;
+
+test('uses the IORegistry on macOS', () => {
+  assert.equal(pickGpuBackend({ platform: 'darwin', hasCommand: has(), hasSysfsGpu: noSysfs }), 'apple');
+});
+
+test('uses nvidia-smi on Linux when it is installed', () => {
+  assert.equal(
+    pickGpuBackend({ platform: 'linux', hasCommand: has('nvidia-smi'), hasSysfsGpu: sysfs }),
+    'nvidia'
+  );
+});
+
+test('falls back to sysfs on Linux when a DRM card reports telemetry', () => {
+  assert.equal(pickGpuBackend({ platform: 'linux', hasCommand: has(), hasSysfsGpu: sysfs }), 'sysfs');
+});
+
+test('reports no backend when no GPU tool is available', () => {
+  assert.equal(pickGpuBackend({ platform: 'linux', hasCommand: has(), hasSysfsGpu: noSysfs }), null);
+});
+
+test('does not probe Linux sources on other platforms', () => {
+  assert.equal(
+    pickGpuBackend({ platform: 'win32', hasCommand: has('nvidia-smi'), hasSysfsGpu: sysfs }),
+    null
+  );
+});
+
+test('lists the devices holding memory for any of the given pids', () => {
+  const gpus = [
+    { index: 0, processes: [{ pid: 10, usedBytes: 1 }, { pid: 11, usedBytes: 1 }] },
+    { index: 1, processes: [{ pid: 11, usedBytes: 1 }] }
+  ];
+  assert.deepEqual(devicesForPids(gpus, [11]), [0, 1]);
+  assert.deepEqual(devicesForPids(gpus, [10, 99]), [0]);
+  assert.deepEqual(devicesForPids(gpus, [99]), []);
+});
+
+test('reports device placement as unknown when the backend has no per-process data', () => {
+  assert.equal(devicesForPids([{ index: 0, util: 5 }], [10]), null);
+});
+
+const GB = 1_000_000_000;
+const splitGpus = [
+  { index: 0, processes: [{ pid: 20, usedBytes: 4 * GB }, { pid: 21, usedBytes: 9 * GB }] },
+  { index: 1, processes: [{ pid: 21, usedBytes: 9 * GB }] }
+];
+
+test('places a lone loaded model on every device its runners use', () => {
+  const [model] = placeModels([{ name: 'a', vramBytes: 18 * GB }], [21], splitGpus);
+  assert.deepEqual(model.devices, [0, 1]);
+});
+
+test('pairs each of several models with the runner nearest its vram size', () => {
+  const placed = placeModels(
+    [{ name: 'big', vramBytes: 18 * GB }, { name: 'small', vramBytes: 4 * GB }],
+    [20, 21],
+    splitGpus
+  );
+  assert.deepEqual(placed.map((m) => m.devices), [[0, 1], [0]]);
+});
+
+test('leaves placement unknown without per-process GPU data', () => {
+  const [model] = placeModels([{ name: 'a', vramBytes: GB }], [20], [{ index: 0 }]);
+  assert.equal(model.devices, null);
+});
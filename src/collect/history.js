@@ -0,0 +1,75 @@
+import { localOllama } from './engines/ollama.js';
+
+// Per-engine history for the Engines table's sparklines and the drill-down
+// charts. The machine-wide charts can't say which of several engines caused
+// a spike; a short buffer per engine can.
+
+// Fixed-capacity buffer that overwrites its oldest entry once full, so a
+// long session costs the same memory as a short one.
+export function createRing(capacity) {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push(item) {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) size += 1;
+      else start = (start + 1) % capacity;
+    },
+    // Oldest first.
+    values() {
+      return Array.from({ length: size }, (_, i) => items[(start + i) % capacity]);
+    }
+  };
+}
+
+// Configured llama-servers have no pid, so they are tracked by address.
+export const engineKey = (engine) => engine.pid ?? engine.endpoint;
+
+// Ollama reads a name without a tag as `:latest`, and /api/ps always spells
+// it out, while the proxy keeps the name as the client sent it. The tag comes
+// after the last path segment, so a registry's port isn't mistaken for one.
+const withTag = (name) => (name.slice(name.lastIndexOf('/') + 1).includes(':') ? name : `${name}:latest`);
+
+// llama-server reports generation speed on /metrics. Ollama omits --metrics
+// when launching its runner, so its speed comes from the metering proxy when
+// one is running: the latest rate for whichever of its loaded models has one.
+export function engineTokensPerSec(engine, snapshot) {
+  if (engine.kind === 'ollama' && snapshot.proxy) {
+    const names = new Set(localOllama(snapshot)?.loaded.map((m) => withTag(m.name)) ?? []);
+    return snapshot.proxy.models.find((m) => names.has(withTag(m.model)) && m.tokensPerSec !== null)?.tokensPerSec ?? null;
+  }
+  return engine.telemetry?.metrics?.predictedTps ?? null;
+}
+
+// One buffer per engine, fed a snapshot per tick. A buffer is dropped as
+// soon as its engine leaves the snapshot, the same way the collector forgets
+// cached /props for a pid that has gone away.
+export function createEngineHistory(length) {
+  const byKey = new Map();
+
+  return {
+    record(snapshot) {
+      const present = new Set();
+      for (const engine of snapshot.engines) {
+        const key = engineKey(engine);
+        present.add(key);
+        if (!byKey.has(key)) byKey.set(key, createRing(length));
+        byKey.get(key).push({
+          t: snapshot.t,
+          cpu: engine.cpu,
+          rssBytes: engine.rssBytes,
+          tokensPerSec: engineTokensPerSec(engine, snapshot),
+          slotsBusy: engine.telemetry?.slots?.processing ?? null
+        });
+      }
+      for (const key of byKey.keys()) if (!present.has(key)) byKey.delete(key);
+    },
+
+    // Samples for one engine, oldest first; empty for an engine not seen.
+    samples(key) {
+      return byKey.get(key)?.values() ?? [];
+    }
+  };
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRing, createEngineHistory, engineTokensPerSec } from './history.js';
+
+test('keeps the newest entries once the ring is full', () => {
+  const ring = createRing(3);
+  for (const n of [1, 2, 3, 4, 5]) ring.push(n);
+  assert.deepEqual(ring.values(), [3, 4, 5]);
+});
+
+const server = (pid, cpu, processing) => ({
+  kind: 'llama-server',
+  pid,
+  cpu,
+  rssBytes: 4_000_000_000,
+  telemetry: { slots: { total: 4, processing, nCtx: 8192 }, metrics: { predictedTps: 42.5 } }
+});
+
+test('records a buffer per engine and drops it when the pid goes away', () => {
+  const history = createEngineHistory(60);
+  history.record({ t: 1, engines: [server(4242, 90, 1), server(4300, 5, 0)] });
+  history.record({ t: 2, engines: [server(4242, 95, 2)] });
+
+  assert.deepEqual(history.samples(4242), [
+    { t: 1, cpu: 90, rssBytes: 4_000_000_000, tokensPerSec: 42.5, slotsBusy: 1 },
+    { t: 2, cpu: 95, rssBytes: 4_000_000_000, tokensPerSec: 42.5, slotsBusy: 2 }
+  ]);
+  assert.deepEqual(history.samples(4300), []);
+});
+
+test('tracks a configured llama-server by its address', () => {
+  const history = createEngineHistory(60);
+  const remote = { ...server(null, null, 1), endpoint: 'http://gpu-box:8080', rssBytes: null };
+  history.record({ t: 1, engines: [remote] });
+  assert.equal(history.samples('http://gpu-box:8080')[0].slotsBusy, 1);
+});
+
+test('takes Ollama\'s speed from the metering proxy', () => {
+  const ollama = { kind: 'ollama', pid: 812, telemetry: null };
+  const snapshot = {
+    ollamaHosts: [{ host: 'http://127.0.0.1:11434', loaded: [{ name: 'qwen3:8b' }] }],
+    proxy: { models: [{ model: 'qwen3:8b', tokensPerSec: 61.2 }] }
+  };
+  assert.equal(engineTokensPerSec(ollama, snapshot), 61.2);
+  assert.equal(engineTokensPerSec(ollama, { ...snapshot, proxy: null }), null);
+});
+
+test('matches a model the client named without its tag', () => {
+  const ollama = { kind: 'ollama', pid: 812, telemetry: null };
+  const snapshot = {
+    ollamaHosts: [{ host: 'http://127.0.0.1:11434', loaded: [{ name: 'llama3.1:latest' }, { name: 'registry:5000/team/phi4:latest' }] }],
+    proxy: { models: [{ model: 'llama3.1', tokensPerSec: 48.5 }] }
+  };
+  assert.equal(engineTokensPerSec(ollama, snapshot), 48.5);
+  snapshot.proxy.models = [{ model: 'registry:5000/team/phi4', tokensPerSec: 30 }];
+  assert.equal(engineTokensPerSec(ollama, snapshot), 30);
+  snapshot.proxy.models = [{ model: 'llama3.1:8b', tokensPerSec: 30 }];
+  assert.equal(engineTokensPerSec(ollama, snapshot), null);
+});
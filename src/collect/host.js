@@ -1,4 +1,5 @@
 import os from 'os';
+import { readFile } from 'fs/promises';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
 
@@ -28,6 +29,8 @@ export function cpuPercentBetween(prev, next) {
   return round1(busy.reduce((sum, b) => sum + b, 0) / busy.length);
 }
 
+const readText = (file) => readFile(file, 'utf8').catch(() => null);
+
 export function parseVmStat(text) {
   const pageSize = text.match(/page size of (\d+) bytes/);
   if (!pageSize) return null;
@@ -43,6 +46,10 @@ export function parseVmStat(text) {
 }
 
 export async function readFreeMemory() {
+  if (os.platform() === 'linux') {
+    const text = await readText('/proc/meminfo');
+    return (text && parseMeminfo(text)?.availableBytes) ?? os.freemem();
+  }
   if (os.platform() !== 'darwin') return os.freemem();
   try {
     const { stdout } = await run('vm_stat', [], { timeout: 2000 });
@@ -52,6 +59,128 @@ export async function readFreeMemory() {
   }
 }
 
+// --- Linux ---
+//
+// os.freemem() is MemFree, which excludes page cache the kernel would drop on
+// demand; on a box that has been up a while it reads as nearly full. The
+// kernel's own estimate of what a new allocation can get is MemAvailable.
+
+export function parseMeminfo(text) {
+  const kb = (key) => {
+    const m = text.match(new RegExp(`^${key}:\\s+(\\d+) kB`, 'm'));
+    return m ? Number(m[1]) * 1024 : null;
+  };
+
+  const totalBytes = kb('MemTotal');
+  if (totalBytes === null) return null;
+
+  return {
+    totalBytes,
+    availableBytes: kb('MemAvailable'),
+    swapTotalBytes: kb('SwapTotal'),
+    swapFreeBytes: kb('SwapFree')
+  };
+}
+
+// PSI reports the share of wall time tasks were stalled on memory: "some" when
+// at least one task waited, "full" when every runnable task did.
+export function parsePsi(text) {
+  const line = (kind) => {
+    const m = text.match(new RegExp(`^${kind} avg10=([\\d.]+) avg60=([\\d.]+) avg300=([\\d.]+)`, 'm'));
+    return m ? { avg10: Number(m[1]), avg60: Number(m[2]), avg300: Number(m[3]) } : null;
+  };
+
+  const some = line('some');
+  if (!some) return null;
+  return { some, full: line('full') };
+}
+
+// --- macOS ---
+
+const SWAP_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+export function parseSwapUsage(text) {
+  const field = (key) => {
+    const m = text.match(new RegExp(`${key} = ([\\d.]+)([KMG])`));
+    return m ? Math.round(Number(m[1]) * SWAP_UNITS[m[2]]) : null;
+  };
+
+  const totalBytes = field('total');
+  if (totalBytes === null) return null;
+  return { totalBytes, usedBytes: field('used') };
+}
+
+export function parseMemoryPressure(text) {
+  const m = text.match(/System-wide memory free percentage:\s*(\d+)%/);
+  return m ? Number(m[1]) : null;
+}
+
+// Collapses either platform's pressure signal into one level the UI can act
+// on. The PSI cut-offs follow what systemd-oomd and the kernel docs treat as
+// sustained contention; memory_pressure's free percentage is the figure
+// Activity Monitor colours its pressure graph by.
+export function pressureLevel(pressure) {
+  if (!pressure) return null;
+  if (pressure.source === 'psi') {
+    if ((pressure.fullAvg10 ?? 0) >= 5) return 'critical';
+    if (pressure.someAvg10 >= 10) return 'warn';
+    return 'normal';
+  }
+  if (pressure.freePct === null) return null;
+  if (pressure.freePct < 10) return 'critical';
+  if (pressure.freePct < 25) return 'warn';
+  return 'normal';
+}
+
+async function readLinuxMemory() {
+  const [meminfoText, psiText] = await Promise.all([
+    readText('/proc/meminfo'),
+    readText('/proc/pressure/memory')
+  ]);
+
+  const meminfo = meminfoText ? parseMeminfo(meminfoText) : null;
+  const psi = psiText ? parsePsi(psiText) : null;
+  const swapTotal = meminfo?.swapTotalBytes ?? null;
+
+  return {
+    freeBytes: meminfo?.availableBytes ?? os.freemem(),
+    swapTotal,
+    swapUsed: swapTotal === null ? null : swapTotal - (meminfo.swapFreeBytes ?? 0),
+    // Kernels built without CONFIG_PSI have no /proc/pressure at all.
+    pressure: psi
+      ? { source: 'psi', someAvg10: psi.some.avg10, fullAvg10: psi.full?.avg10 ?? null }
+      : null
+  };
+}
+
+async function readDarwinMemory() {
+  const [freeBytes, swap, freePct] = await Promise.all([
+    readFreeMemory(),
+    run('sysctl', ['vm.swapusage'], { timeout: 2000 })
+      .then(({ stdout }) => parseSwapUsage(stdout))
+      .catch(() => null),
+    run('memory_pressure', [], { timeout: 2000 })
+      .then(({ stdout }) => parseMemoryPressure(stdout))
+      .catch(() => null)
+  ]);
+
+  return {
+    freeBytes,
+    swapTotal: swap?.totalBytes ?? null,
+    swapUsed: swap?.usedBytes ?? null,
+    pressure: freePct === null ? null : { source: 'memory_pressure', freePct }
+  };
+}
+
+// Available memory, swap and pressure in one read, since on Linux they all come
+// out of the same pair of files.
+export async function readMemory() {
+  const platform = os.platform();
+  if (platform === 'linux') return readLinuxMemory();
+  if (platform === 'darwin') return readDarwinMemory();
+  return { freeBytes: os.freemem(), swapTotal: null, swapUsed: null, pressure: null };
+}
+
 function round1(n) {
   return Math.round(n * 10) / 10;
 }
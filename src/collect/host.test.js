@@ -1,7 +1,15 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { cpuPercentBetween, parseVmStat } from './host.js';
+import {
+  cpuPercentBetween,
+  parseVmStat,
+  parseMeminfo,
+  parsePsi,
+  parseSwapUsage,
+  parseMemoryPressure,
+  pressureLevel
+} from './host.js';
 
 // Samples are the shape os.cpus() reduces to: cumulative idle and total ticks.
 const sample = (idle, total) => [{ idle, total }];
@@ -48,3 +56,76 @@ test('sums free and inactive pages as available memory', () => {
 test('returns null when vm_stat output is unparseable', () => {
   assert.equal(parseVmStat('not vm_stat output'), null);
 });
+
+const MEMINFO = [
+  'MemTotal:       65843088 kB',
+  'MemFree:         1203380 kB',
+  'MemAvailable:   41230512 kB',
+  'Buffers:          512044 kB',
+  'Cached:         38421200 kB',
+  'SwapCached:        10240 kB',
+  'SwapTotal:       8388604 kB',
+  'SwapFree:        6291452 kB'
+].join('\n');
+
+test('reads MemAvailable rather than MemFree as available memory', () => {
+  assert.equal(parseMeminfo(MEMINFO).availableBytes, 41230512 * 1024);
+});
+
+test('reads swap totals from meminfo', () => {
+  const info = parseMeminfo(MEMINFO);
+  assert.equal(info.swapTotalBytes, 8388604 * 1024);
+  assert.equal(info.swapFreeBytes, 6291452 * 1024);
+});
+
+test('reports MemAvailable as unknown on kernels that predate it', () => {
+  assert.equal(parseMeminfo('MemTotal:       1000 kB\nMemFree:         500 kB').availableBytes, null);
+});
+
+test('returns null when meminfo is unparseable', () => {
+  assert.equal(parseMeminfo('nothing here'), null);
+});
+
+test('parses some and full lines from PSI memory pressure', () => {
+  const psi = parsePsi([
+    'some avg10=12.50 avg60=4.10 avg300=1.02 total=88123456',
+    'full avg10=3.20 avg60=1.00 avg300=0.25 total=20123456'
+  ].join('\n'));
+
+  assert.deepEqual(psi, {
+    some: { avg10: 12.5, avg60: 4.1, avg300: 1.02 },
+    full: { avg10: 3.2, avg60: 1, avg300: 0.25 }
+  });
+});
+
+test('parses sysctl vm.swapusage into bytes', () => {
+  const out = 'vm.swapusage: total = 2048.00M  used = 1120.25M  free = 927.75M  (encrypted)';
+  assert.deepEqual(parseSwapUsage(out), {
+    totalBytes: 2048 * 1024 ** 2,
+    usedBytes: Math.round(1120.25 * 1024 ** 2)
+  });
+});
+
+test('reads the free percentage from memory_pressure', () => {
+  const out = [
+    'The system has 25769803776 (1572864 pages with a page size of 16384).',
+    'System-wide memory free percentage: 43%'
+  ].join('\n');
+  assert.equal(parseMemoryPressure(out), 43);
+});
+
+test('grades PSI stalls into pressure levels', () => {
+  assert.equal(pressureLevel({ source: 'psi', someAvg10: 0.5, fullAvg10: 0 }), 'normal');
+  assert.equal(pressureLevel({ source: 'psi', someAvg10: 12, fullAvg10: 1 }), 'warn');
+  assert.equal(pressureLevel({ source: 'psi', someAvg10: 40, fullAvg10: 8 }), 'critical');
+});
+
+test('grades macOS free percentage into pressure levels', () => {
+  assert.equal(pressureLevel({ source: 'memory_pressure', freePct: 43 }), 'normal');
+  assert.equal(pressureLevel({ source: 'memory_pressure', freePct: 18 }), 'warn');
+  assert.equal(pressureLevel({ source: 'memory_pressure', freePct: 6 }), 'critical');
+});
+
+test('reports no pressure level when the platform gives no signal', () => {
+  assert.equal(pressureLevel(null), null);
+});
@@ -1,56 +1,109 @@
 import os from 'os';
 
-import { readGpu } from './gpu-apple.js';
-import { readCpuSample, cpuPercentBetween, readFreeMemory } from './host.js';
-import { readOllama } from './engines/ollama.js';
+import { createGpuReader, devicesForPids, placeModels } from './gpu.js';
+import { readCpuSample, cpuPercentBetween, readMemory, pressureLevel } from './host.js';
+import { readOllamaHosts, resolveHosts, isLocalHost, hostPort } from './engines/ollama.js';
 import { readProcs, cpuPercentFor } from './procs.js';
 import { classifyEngines } from './engines/discover.js';
 import { readLlamaServer } from './engines/llamacpp.js';
+import { readVllmServer } from './engines/vllm.js';
 import { createTierGate } from './schedule.js';
+import { createResidencyTracker } from './residency.js';
+import { createEngineHistory } from './history.js';
 
 // Sampling tiers. Cheap kernel reads run every tick; local HTTP polls run
 // slower; discovery-grade static info slower still. The fast tier costs about
 // 46ms (ioreg ~24ms + ps sweep ~22ms), so the charts can afford 1s resolution.
+// These are the defaults; the config file can change both.
 const HTTP_INTERVAL_MS = 2_000;
 const STATIC_INTERVAL_MS = 10_000;
 
+// The telemetry reader for each engine kind that has one. Ollama's runner is
+// a llama-server, and a llamafile embeds one.
+const TELEMETRY_READERS = {
+  ollama: readLlamaServer,
+  'llama-server': readLlamaServer,
+  llamafile: readLlamaServer,
+  vllm: readVllmServer
+};
+
+// A llama-server named in the config, standing in for a process-table entry.
+// One on another machine has no pid, CPU or memory we can see.
+function configuredEngine(endpoint) {
+  return {
+    kind: 'llama-server',
+    pid: null,
+    pids: [],
+    runnerPids: [],
+    port: hostPort(endpoint),
+    model: null,
+    // Its command line isn't in our process table.
+    launch: null,
+    endpoint
+  };
+}
+
 // One collector instance owns all sampling state. Rate metrics are deltas
 // against the previous tick rather than a blocking in-tick measurement.
-export function createCollector() {
-  const httpTier = createTierGate(HTTP_INTERVAL_MS);
-  const staticTier = createTierGate(STATIC_INTERVAL_MS);
+// `proxy` is a running metering proxy whose request stats join the snapshot.
+// `llamaServers` are endpoints to poll whether or not their process is ours.
+// The last `historyLength` samples of each engine are kept on
+// `collect.engineHistory`.
+export function createCollector({
+  ollamaHosts = resolveHosts(),
+  proxy = null,
+  httpIntervalMs = HTTP_INTERVAL_MS,
+  staticIntervalMs = STATIC_INTERVAL_MS,
+  llamaServers = [],
+  llamaServerPort,
+  historyLength = 60
+} = {}) {
+  const httpTier = createTierGate(httpIntervalMs);
+  const staticTier = createTierGate(staticIntervalMs);
+  const readGpus = createGpuReader();
 
   let prevCpuSample = null;
   let prevProcs = null;
   let prevProcsAt = 0;
+  let prevSwapUsed = null;
 
   // Last known values for anything sampled slower than the fast tier, so a
   // snapshot is always complete even on ticks that skipped those sources.
-  let lastOllama = { up: false, host: null, error: null, loaded: [] };
-  let cachedDisk = [];
+  // Keyed by host, in the order the hosts were given.
+  const lastOllama = new Map(
+    ollamaHosts.map((host) => [host, { up: false, host, error: null, loaded: [], disk: [] }])
+  );
   const propsByPid = new Map();
   const telemetryByPid = new Map();
+  // When each engine was last polled, for rates from its counters.
+  const polledAt = new Map();
+  const residency = createResidencyTracker();
+  const engineHistory = createEngineHistory(historyLength);
 
-  return async function collect() {
+  async function collect() {
     const now = Date.now();
     const wantHttp = httpTier.due(now);
     const wantStatic = staticTier.due(now);
 
     // --- fast tier: every tick ---
-    const [gpu, freeMem, procs, ollama] = await Promise.all([
-      readGpu(),
-      readFreeMemory(),
-      readProcs().catch(() => []),
-      wantHttp ? readOllama({ withTags: wantStatic }) : Promise.resolve(null)
+    const [gpus, memory, sweep, ollama] = await Promise.all([
+      readGpus(),
+      readMemory(),
+      readProcs().catch((error) => error),
+      wantHttp ? readOllamaHosts(ollamaHosts, { withTags: wantStatic }) : Promise.resolve(null)
     ]);
 
+    // A failed sweep keeps the last good one rather than emptying the Engines
+    // table, and says why in the snapshot.
+    const procsError = sweep instanceof Error ? sweep.message : null;
+    const procs = procsError ? [...(prevProcs?.values() ?? [])] : sweep;
     const elapsedMs = prevProcsAt ? now - prevProcsAt : 0;
     const byPid = new Map(procs.map((p) => [p.pid, p]));
 
     // Attribute every pid an engine owns — for Ollama that means folding the
     // llama-server runner's cost into the supervisor's row, since the
     // supervisor itself sits idle while the runner does the work.
-    const engines = classifyEngines(procs).map((engine) => {
+    const discovered = classifyEngines(procs, { llamaServerPort }).map((engine) => {
       let cpu = 0;
       let rssBytes = 0;
       for (const pid of engine.pids) {
@@ -63,6 +116,7 @@ export function createCollector() {
         ...engine,
         cpu: Math.round(cpu * 10) / 10,
         rssBytes,
+        gpuDevices: devicesForPids(gpus, engine.pids),
         telemetry: telemetryByPid.get(engine.pid) ?? null
       };
     });
@@ -70,36 +124,72 @@ export function createCollector() {
     prevProcs = byPid;
     prevProcsAt = now;
 
+    // A configured endpoint that is one of our own servers is already in the
+    // table, with its process figures.
+    const localPorts = new Set(
+      discovered.filter((e) => e.kind === 'llama-server' || e.kind === 'llamafile').map((e) => e.port)
+    );
+    const engines = [
+      ...discovered,
+      ...llamaServers
+        .filter((endpoint) => !(isLocalHost(endpoint) && localPorts.has(hostPort(endpoint))))
+        .map((endpoint) => {
+          const telemetry = telemetryByPid.get(endpoint) ?? null;
+          return {
+            ...configuredEngine(endpoint),
+            model: telemetry?.props?.modelPath ?? null,
+            cpu: null,
+            rssBytes: null,
+            gpuDevices: [],
+            telemetry
+          };
+        })
+    ];
+
     // --- http tier ---
-    if (ollama) {
-      lastOllama = {
-        up: ollama.up,
-        host: ollama.host,
-        error: ollama.error,
-        loaded: ollama.loaded
-      };
-      if (ollama.disk) cachedDisk = ollama.disk;
+    // A host that stops answering keeps its last disk list: the models are
+    // still on its disk, we just can't see them right now.
+    for (const result of ollama ?? []) {
+      const prev = lastOllama.get(result.host);
+      lastOllama.set(result.host, {
+        up: result.up,
+        host: result.host,
+        error: result.error,
+        loaded: result.loaded,
+        disk: result.disk ?? prev.disk
+      });
+      // A host that didn't answer says nothing about what it has loaded.
+      if (result.up) residency.observe(result.host, result.loaded, now);
     }
 
     if (wantHttp) {
       // llama-cli has no HTTP surface, so only engines with a port are polled.
       await Promise.all(
         engines
-          .filter((engine) => engine.port !== null)
+          .filter((engine) => engine.port !== null && TELEMETRY_READERS[engine.kind])
           .map(async (engine) => {
-            const telemetry = await readLlamaServer({
+            // Configured endpoints have no pid, so they are cached by address.
+            const key = engine.pid ?? engine.endpoint;
+            const telemetry = await TELEMETRY_READERS[engine.kind]({
               port: engine.port,
-              props: propsByPid.get(engine.pid) ?? null
+              base: engine.endpoint,
+              props: propsByPid.get(key) ?? null,
+              previous: telemetryByPid.get(key)?.metrics ?? null,
+              elapsedMs: polledAt.has(key) ? now - polledAt.get(key) : 0
             });
-            if (telemetry.props) propsByPid.set(engine.pid, telemetry.props);
-            telemetryByPid.set(engine.pid, telemetry);
+            if (telemetry.props) propsByPid.set(key, telemetry.props);
+            telemetryByPid.set(key, telemetry);
+            polledAt.set(key, now);
             engine.telemetry = telemetry;
+            if (engine.endpoint) engine.model = telemetry.props?.modelPath ?? null;
           })
       );
 
       // Drop cached state for pids that have gone away.
-      for (const pid of propsByPid.keys()) if (!byPid.has(pid)) propsByPid.delete(pid);
-      for (const pid of telemetryByPid.keys()) if (!byPid.has(pid)) telemetryByPid.delete(pid);
+      const live = (key) => byPid.has(key) || llamaServers.includes(key);
+      for (const key of propsByPid.keys()) if (!live(key)) propsByPid.delete(key);
+      for (const key of telemetryByPid.keys()) if (!live(key)) telemetryByPid.delete(key);
+      for (const key of polledAt.keys()) if (!live(key)) polledAt.delete(key);
     }
 
     const cpuSample = readCpuSample();
@@ -107,19 +197,64 @@ export function createCollector() {
     prevCpuSample = cpuSample;
 
     const memTotal = os.totalmem();
+    const freeMem = memory.freeBytes;
 
-    return {
+    // Swap growth is what actually costs tok/s: a full-but-idle swap file is
+    // harmless, pages moving into it while a model runs are not.
+    const swapRate =
+      prevSwapUsed !== null && memory.swapUsed !== null && elapsedMs > 0
+        ? Math.round((memory.swapUsed - prevSwapUsed) / (elapsedMs / 1000))
+        : 0;
+    prevSwapUsed = memory.swapUsed;
+
+    // GPU placement can only be worked out for the host whose runners are in
+    // our own process table.
+    const ollamaEngine = engines.find((engine) => engine.kind === 'ollama');
+    const localHost = ollamaHosts.find(isLocalHost);
+    const hosts = [...lastOllama.values()].map((state) => ({
+      ...state,
+      loaded:
+        state.host === localHost
+          ? placeModels(state.loaded, ollamaEngine?.runnerPids ?? [], gpus)
+          : state.loaded.map((model) => ({ ...model, devices: null })),
+      residency: residency.report(state.host, now)
+    }));
+
+    const snapshot = {
       t: now,
-      gpu,
+      gpus,
       host: {
         cpu,
         cores: os.cpus().length,
         memTotal,
         memFree: freeMem,
-        memUsed: memTotal - freeMem
+        memUsed: memTotal - freeMem,
+        swapTotal: memory.swapTotal,
+        swapUsed: memory.swapUsed,
+        swapRate,
+        pressure: memory.pressure && { ...memory.pressure, level: pressureLevel(memory.pressure) }
       },
-      ollama: { ...lastOllama, disk: cachedDisk },
-      engines
+      // `ollama` stays the first host so single-host consumers keep working;
+      // `ollamaHosts` carries every host, that one included.
+      ollama: hosts[0],
+      ollamaHosts: hosts,
+      engines,
+      procsError,
+      proxy: proxy ? proxy.report() : null
     };
+    engineHistory.record(snapshot);
+    return snapshot;
+  }
+
+  collect.engineHistory = engineHistory;
+
+  // Something outside the collector changed a host's model store (a pull, a
+  // delete): re-read every host's disk list on the next tick instead of
+  // showing the stale one for up to a static interval.
+  collect.refreshDisk = () => {
+    httpTier.reset();
+    staticTier.reset();
   };
+
+  return collect;
 }
@@ -1,3 +1,6 @@
+import os from 'os';
+import path from 'path';
+import { readFile, readdir } from 'fs/promises';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
 
@@ -5,7 +8,8 @@ const run = promisify(execFile);
 
 // A single `ps -A` sweep (~22ms for ~750 processes) serves three purposes at
 // once: per-process CPU deltas, resident memory, and engine discovery. This is
-// the same trade nvtop makes by reading proc_pidinfo once per refresh.
+// the same trade nvtop makes by reading proc_pidinfo once per refresh. On Linux
+// the same rows come from /proc without spawning anything.
 
 export function parseCpuTime(text) {
   // macOS ps prints MM:SS.hh, letting minutes run past 60 rather than adding an
@@ -49,7 +53,130 @@ export function cpuPercentFor(prev, next, elapsedMs) {
   return Math.round((delta / (elapsedMs / 1000)) * 1000) / 10;
 }
 
+// --- Linux: /proc instead of ps ---
+//
+// Reading /proc directly skips a process spawn per tick and, more usefully,
+// keeps argv as the kernel stored it: cmdline is NUL-separated, so a model path
+// containing spaces stays one argument instead of being split by whitespace.
+
+// stat counts CPU time in USER_HZ ticks and statm counts memory in pages.
+// USER_HZ is 100 almost everywhere, but arm64 kernels built with 16 KiB or
+// 64 KiB pages (Asahi, GH200) would under-report RSS by 4-16x at a fixed
+// 4 KiB, so both are asked of getconf once; these are the fallbacks.
+const CLOCK_TICKS = 100;
+const PAGE_SIZE = 4096;
+
+const positive = (text) => {
+  const n = Number(text.trim());
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+// `exec` is a parameter so tests can stand in for getconf.
+export async function readProcUnits(exec = run) {
+  const getconf = (name) =>
+    exec('getconf', [name], { timeout: 2000 }).then(({ stdout }) => positive(stdout), () => null);
+  const [pageSize, clockTicks] = await Promise.all([getconf('PAGESIZE'), getconf('CLK_TCK')]);
+  return { pageSize: pageSize ?? PAGE_SIZE, clockTicks: clockTicks ?? CLOCK_TICKS };
+}
+
+// Neither changes while the machine is up.
+let procUnits = null;
+
+export function parseProcStat(text) {
+  // comm sits in parentheses and may itself contain spaces or parentheses, so
+  // the fixed fields are read from after the last closing one.
+  const open = text.indexOf('(');
+  const close = text.lastIndexOf(')');
+  if (open === -1 || close === -1) return null;
+
+  const pid = Number(text.substring(0, open).trim());
+  const rest = text.substring(close + 2).trim().split(/\s+/);
+  // rest[0] is field 3 (state); ppid is field 4, utime/stime fields 14 and 15.
+  if (Number.isNaN(pid) || rest.length < 13) return null;
+
+  return {
+    pid,
+    comm: text.substring(open + 1, close),
+    ppid: Number(rest[1]),
+    cpuTicks: Number(rest[11]) + Number(rest[12])
+  };
+}
+
+export function parseCmdline(buffer) {
+  const args = buffer.toString('utf8').split('\0');
+  // The kernel terminates the last argument with a NUL too.
+  if (args.length && args[args.length - 1] === '') args.pop();
+  return args;
+}
+
+export function parseStatm(text) {
+  const fields = text.trim().split(/\s+/);
+  return fields.length >= 2 ? Number(fields[1]) : null;
+}
+
+async function readProcEntry(dir, pid, { clockTicks, pageSize, read }) {
+  try {
+    const [statText, cmdline, statmText] = await Promise.all([
+      read(path.join(dir, 'stat'), 'utf8'),
+      read(path.join(dir, 'cmdline')),
+      read(path.join(dir, 'statm'), 'utf8')
+    ]);
+
+    const stat = parseProcStat(statText);
+    const residentPages = parseStatm(statmText);
+    if (!stat || residentPages === null) return null;
+
+    const argv = parseCmdline(cmdline);
+    return {
+      pid,
+      ppid: stat.ppid,
+      rssBytes: residentPages * pageSize,
+      cpuSeconds: stat.cpuTicks / clockTicks,
+      // Kernel threads have an empty cmdline; ps shows them as [comm] too.
+      command: argv.length ? argv.join(' ') : `[${stat.comm}]`,
+      argv
+    };
+  } catch (error) {
+    // The process exited between readdir and the reads, or belongs to another
+    // user under hidepid or a locked-down pid directory. Anything else, such
+    // as running out of file descriptors, would silently drop rows.
+    if (['ENOENT', 'ESRCH', 'EACCES', 'EPERM'].includes(error.code)) return null;
+    throw error;
+  }
+}
+
+// Each entry holds three files open at once, so a batch of 32 stays far
+// below even a tight descriptor limit.
+const PROC_BATCH = 32;
+
+// `read` stands in for readFile, so tests can fail a read the way the kernel
+// does even when they run as root.
+export async function readProcFs({
+  root = '/proc',
+  clockTicks = CLOCK_TICKS,
+  pageSize = PAGE_SIZE,
+  read = readFile
+} = {}) {
+  const pids = (await readdir(root)).filter((entry) => /^\d+$/.test(entry));
+  const rows = [];
+  for (let i = 0; i < pids.length; i += PROC_BATCH) {
+    rows.push(
+      ...(await Promise.all(
+        pids
+          .slice(i, i + PROC_BATCH)
+          .map((entry) => readProcEntry(path.join(root, entry), Number(entry), { clockTicks, pageSize, read }))
+      ))
+    );
+  }
+  return rows.filter(Boolean).sort((a, b) => a.pid - b.pid);
+}
+
 export async function readProcs() {
+  if (os.platform() === 'linux') {
+    procUnits ??= readProcUnits();
+    return readProcFs(await procUnits);
+  }
+
   const { stdout } = await run(
     'ps',
     ['-Ao', 'pid,ppid,rss,time,command'],
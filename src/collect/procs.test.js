@@ -1,7 +1,22 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { mkdtempSync, mkdirSync, writeFileSync, cpSync, rmSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
 
-import { parseCpuTime, parsePsSweep, cpuPercentFor } from './procs.js';
+import {
+  parseCpuTime,
+  parsePsSweep,
+  cpuPercentFor,
+  parseProcStat,
+  parseCmdline,
+  readProcFs,
+  readProcUnits
+} from './procs.js';
+
+const procRoot = fileURLToPath(new URL('./__fixtures__/proc', import.meta.url));
 
 test('parses the MM:SS.hh time format ps uses on macOS', () => {
   assert.equal(parseCpuTime('0:02.27'), 2.27);
@@ -82,3 +97,107 @@ test('reports 0% rather than dividing by zero when no time elapsed', () => {
 test('reports 0% when a recycled pid shows cpu time going backwards', () => {
   assert.equal(cpuPercentFor({ cpuSeconds: 100 }, { cpuSeconds: 1 }, 2000), 0);
 });
+
+test('reads ppid and cumulative cpu ticks from /proc/[pid]/stat', () => {
+  const stat = parseProcStat(
+    '812 (ollama) S 1 812 812 0 -1 1077936384 8123 0 5 0 4215 1830 0 0 20 0 18 0 4021 2415919104 9120'
+  );
+  assert.deepEqual(stat, { pid: 812, comm: 'ollama', ppid: 1, cpuTicks: 4215 + 1830 });
+});
+
+test('reads stat fields past a comm that contains spaces and parentheses', () => {
+  const stat = parseProcStat(
+    '3377 (tmux: srv (1)) S 1 3377 3377 0 -1 4194368 600 0 0 0 12 7 0 0 20 0 1 0 30000 12345678 1200'
+  );
+  assert.equal(stat.comm, 'tmux: srv (1)');
+  assert.equal(stat.ppid, 1);
+  assert.equal(stat.cpuTicks, 19);
+});
+
+test('splits cmdline on NUL and drops the trailing terminator', () => {
+  assert.deepEqual(parseCmdline(Buffer.from('/bin/a\0-m\0/srv/My Models/x.gguf\0')), [
+    '/bin/a',
+    '-m',
+    '/srv/My Models/x.gguf'
+  ]);
+});
+
+test('reads the same rows from a /proc tree as from a ps sweep', async () => {
+  const rows = await readProcFs({ root: procRoot });
+  assert.deepEqual(rows.find((r) => r.pid === 812), {
+    pid: 812,
+    ppid: 1,
+    rssBytes: 9120 * 4096,
+    cpuSeconds: (4215 + 1830) / 100,
+    command: '/usr/local/bin/ollama serve',
+    argv: ['/usr/local/bin/ollama', 'serve']
+  });
+});
+
+test('keeps a path with spaces as a single argv entry', async () => {
+  const rows = await readProcFs({ root: procRoot });
+  assert.deepEqual(rows.find((r) => r.pid === 1404).argv, [
+    '/opt/llama.cpp/bin/llama-server',
+    '-m',
+    '/srv/My Models/qwen2.5-7b.gguf',
+    '--port',
+    '8081'
+  ]);
+});
+
+test('names kernel threads by comm the way ps does', async () => {
+  const rows = await readProcFs({ root: procRoot });
+  assert.equal(rows.find((r) => r.pid === 2).command, '[kthreadd]');
+});
+
+test('skips a pid whose files vanished mid-sweep', async () => {
+  const rows = await readProcFs({ root: procRoot });
+  assert.deepEqual(rows.map((r) => r.pid), [1, 2, 812, 901, 1404, 3377]);
+});
+
+test('fails the sweep on a read error other than a vanished process', async () => {
+  // EMFILE can't be provoked portably; a stat that is a directory fails with
+  // EISDIR instead, which has to surface the same way.
+  const root = mkdtempSync(path.join(tmpdir(), 'topollama-'));
+  cpSync(procRoot, root, { recursive: true });
+  mkdirSync(path.join(root, '4242', 'stat'), { recursive: true });
+  writeFileSync(path.join(root, '4242', 'cmdline'), '');
+  writeFileSync(path.join(root, '4242', 'statm'), '1 1 0 0 0 0 0');
+  try {
+    await assert.rejects(readProcFs({ root }), { code: 'EISDIR' });
+  } finally {
+    rmSync(root, { recursive: true });
+  }
+});
+
+test('skips entries it is not allowed to read', async () => {
+  // hidepid and other users' pid directories fail with EACCES or EPERM.
+  const read = async (file, encoding) => {
+    if (file.startsWith(path.join(procRoot, '812') + path.sep)) {
+      throw Object.assign(new Error(`EACCES: permission denied, open '${file}'`), { code: 'EACCES' });
+    }
+    return readFile(file, encoding);
+  };
+  const rows = await readProcFs({ root: procRoot, read });
+  assert.deepEqual(rows.map((r) => r.pid), [1, 2, 901, 1404, 3377]);
+});
+
+test('scales cpu time and rss by the given clock rate and page size', async () => {
+  const rows = await readProcFs({ root: procRoot, clockTicks: 1000, pageSize: 16384 });
+  const row = rows.find((r) => r.pid === 812);
+  assert.equal(row.cpuSeconds, (4215 + 1830) / 1000);
+  assert.equal(row.rssBytes, 9120 * 16384);
+});
+
+test('asks getconf for the page size and clock rate', async () => {
+  const answers = { PAGESIZE: '16384\n', CLK_TCK: '100\n' };
+  const exec = async (command, [name]) => ({ stdout: answers[name] });
+  assert.deepEqual(await readProcUnits(exec), { pageSize: 16384, clockTicks: 100 });
+});
+
+test('falls back to 4 KiB pages and 100 Hz when getconf is unavailable', async () => {
+  const exec = async () => {
+    throw Object.assign(new Error('spawn getconf ENOENT'), { code: 'ENOENT' });
+  };
+  assert.deepEqual(await readProcUnits(exec), { pageSize: 4096, clockTicks: 100 });
+});
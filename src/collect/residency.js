@@ -0,0 +1,74 @@
+// Load and unload events, found by diffing each host's loaded list between
+// HTTP polls. Ollama itself keeps no history: /api/ps only says what is
+// resident right now, so a model thrashing in and out of memory is invisible
+// unless someone watches it happen.
+//
+// An unload seen before the model's expires_at is an eviction: something
+// (another model, an explicit unload) pushed it out early. One seen after is
+// just its keep-alive running out.
+
+export function createResidencyTracker() {
+  const byHost = new Map();
+
+  function observe(host, loaded, now) {
+    const first = !byHost.has(host);
+    if (first) byHost.set(host, new Map());
+    const models = byHost.get(host);
+    const present = new Set(loaded.map((m) => m.name));
+
+    for (const model of loaded) {
+      let record = models.get(model.name);
+      if (!record) {
+        record = {
+          name: model.name,
+          resident: false,
+          loads: 0,
+          unloads: 0,
+          evictions: 0,
+          loadedAt: null,
+          unloadedAt: null,
+          lastResidentMs: null,
+          // Already resident when we started watching: its load time is unknown.
+          sinceStart: false,
+          expiresAt: null
+        };
+        models.set(model.name, record);
+      }
+      if (!record.resident) {
+        record.resident = true;
+        record.loadedAt = now;
+        record.sinceStart = first;
+        if (!first) record.loads += 1;
+      }
+      record.expiresAt = model.expiresAt;
+    }
+
+    for (const record of models.values()) {
+      if (!record.resident || present.has(record.name)) continue;
+      record.resident = false;
+      record.unloadedAt = now;
+      record.lastResidentMs = now - record.loadedAt;
+      record.unloads += 1;
+      const expiresMs = record.expiresAt ? Date.parse(record.expiresAt) : NaN;
+      if (now < expiresMs) record.evictions += 1;
+    }
+  }
+
+  // Per-model history for one host, with the current residency measured up
+  // to `now` for models still loaded.
+  function report(host, now) {
+    return [...(byHost.get(host)?.values() ?? [])].map((record) => ({
+      name: record.name,
+      resident: record.resident,
+      loads: record.loads,
+      unloads: record.unloads,
+      evictions: record.evictions,
+      loadedAt: record.loadedAt,
+      unloadedAt: record.unloadedAt,
+      residentMs: record.resident ? now - record.loadedAt : record.lastResidentMs,
+      sinceStart: record.sinceStart
+    }));
+  }
+
+  return { observe, report };
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createResidencyTracker } from './residency.js';
+
+const T0 = Date.parse('2026-10-19T12:00:00Z');
+const loaded = (name, expiresInMs) => ({ name, expiresAt: new Date(T0 + expiresInMs).toISOString() });
+
+test('does not count models already resident at the first poll as loads', () => {
+  const tracker = createResidencyTracker();
+  tracker.observe('h', [loaded('qwen3:0.6b', 300_000)], T0);
+
+  const [record] = tracker.report('h', T0 + 60_000);
+  assert.equal(record.loads, 0);
+  assert.equal(record.sinceStart, true);
+  assert.equal(record.residentMs, 60_000);
+});
+
+test('records a load and how long the model stayed resident', () => {
+  const tracker = createResidencyTracker();
+  tracker.observe('h', [], T0);
+  tracker.observe('h', [loaded('qwen3:0.6b', 302_000)], T0 + 2_000);
+  tracker.observe('h', [], T0 + 304_000);
+
+  assert.deepEqual(tracker.report('h', T0 + 310_000), [{
+    name: 'qwen3:0.6b',
+    resident: false,
+    loads: 1,
+    unloads: 1,
+    evictions: 0,
+    loadedAt: T0 + 2_000,
+    unloadedAt: T0 + 304_000,
+    residentMs: 302_000,
+    sinceStart: false
+  }]);
+});
+
+test('counts an unload before expires_at as an eviction', () => {
+  const tracker = createResidencyTracker();
+  tracker.observe('h', [], T0);
+  tracker.observe('h', [loaded('qwen3:0.6b', 300_000)], T0 + 2_000);
+  tracker.observe('h', [loaded('llama3.1:8b', 300_000)], T0 + 4_000);
+  tracker.observe('h', [loaded('qwen3:0.6b', 306_000)], T0 + 6_000);
+
+  const [qwen, llama] = tracker.report('h', T0 + 6_000);
+  assert.equal(qwen.loads, 2);
+  assert.equal(qwen.evictions, 1);
+  assert.equal(llama.evictions, 1);
+  assert.equal(llama.residentMs, 2_000);
+});
+
+test('keeps each host\'s history apart', () => {
+  const tracker = createResidencyTracker();
+  tracker.observe('a', [loaded('qwen3:0.6b', 300_000)], T0);
+  tracker.observe('b', [], T0);
+  assert.equal(tracker.report('a', T0).length, 1);
+  assert.deepEqual(tracker.report('b', T0), []);
+  assert.deepEqual(tracker.report('c', T0), []);
+});
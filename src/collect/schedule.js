@@ -8,6 +8,12 @@ export function createTierGate(intervalMs) {
       if (lastRunAt !== null && now - lastRunAt < intervalMs) return false;
       lastRunAt = now;
       return true;
+    },
+
+    // Makes the next check due regardless of the interval, for a caller that
+    // knows the source just changed.
+    reset() {
+      lastRunAt = null;
     }
   };
 }
@@ -26,3 +26,10 @@ test('does not mark itself run when it reports not due', () => {
   gate.due(1500); // not due, must not reset the clock
   assert.equal(gate.due(3000), true);
 });
+
+test('is due on the next check after a reset', () => {
+  const gate = createTierGate(2000);
+  gate.due(1000);
+  gate.reset();
+  assert.equal(gate.due(1500), true);
+});
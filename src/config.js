@@ -0,0 +1,359 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { resolveHosts } from './collect/engines/ollama.js';
+
+// Settings come from four places, each overriding the one before: built-in
+// defaults, ~/.config/topollama/config.json, TOPOLLAMA_* environment
+// variables, then command-line flags. Every source goes through the same
+// validators, so a bad value fails the same way wherever it was set, and the
+// error names where it came from.
+
+// Column ids, in their default order. A table shows the columns listed for it
+// in the config, in that order.
+export const COLUMNS = {
+  models: ['model', 'id', 'disk', 'loaded', 'vram', 'on-gpu', 'load', 'unloads-in', 'last-load', 'resident', 'evict'],
+  engines: ['engine', 'pid', 'port', 'model', 'cpu', 'trend', 'ram', 'tok/s', 'slots', 'kv'],
+  requests: ['time', 'api', 'model', 'in', 'out', 'ttft', 'total', 'http']
+};
+
+export const DEFAULT_CONFIG = {
+  tickMs: 1_000,
+  httpIntervalMs: 2_000,
+  staticIntervalMs: 10_000,
+  // Empty means OLLAMA_HOST, or Ollama's own default.
+  ollamaHosts: [],
+  // llama-server endpoints to poll besides those found in the process table,
+  // such as one on another machine.
+  llamaServers: [],
+  // The port llama-server listens on when started without --port.
+  llamaServerPort: 8080,
+  historyLength: 60,
+  // Per alert rule: a threshold, and how long a condition holds before it
+  // alerts and stays gone before it clears. Empty keeps every rule's own.
+  alerts: {},
+  columns: COLUMNS,
+  colors: {
+    border: 'cyan',
+    selected: 'blue',
+    cpu: 'cyan',
+    gpus: ['magenta', 'yellow', 'green', 'blue', 'red', 'white'],
+    memoryUsed: 'cyan',
+    memoryFree: 'magenta'
+  }
+};
+
+const BASIC_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const COLOR_NAMES = new Set([
+  ...BASIC_COLORS,
+  ...BASIC_COLORS.map((c) => `light-${c}`),
+  ...BASIC_COLORS.map((c) => `bright-${c}`),
+  'gray',
+  'grey'
+]);
+
+const show = (value) => JSON.stringify(value);
+
+// Accepts a number of milliseconds, or a string such as "500ms", "2s" or "1m".
+function duration(min, max) {
+  return (value, name) => {
+    const m = typeof value === 'string' ? value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/) : null;
+    const units = { ms: 1, s: 1_000, m: 60_000 };
+    const ms = typeof value === 'number' ? value : m ? Number(m[1]) * units[m[2] ?? 'ms'] : NaN;
+    if (!Number.isFinite(ms)) {
+      throw new Error(`${name} must be a duration such as 500ms, 2s or 1m, got ${show(value)}`);
+    }
+    if (ms < min || ms > max) {
+      throw new Error(`${name} must be between ${min}ms and ${max / 1000}s, got ${show(value)}`);
+    }
+    return Math.round(ms);
+  };
+}
+
+function integer(min, max) {
+  return (value, name) => {
+    const n = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`${name} must be a whole number from ${min} to ${max}, got ${show(value)}`);
+    }
+    return n;
+  };
+}
+
+// Environment variables and flags carry lists comma-separated.
+function list(item) {
+  return (value, name) => {
+    const items = typeof value === 'string' ? value.split(',').map((s) => s.trim()).filter(Boolean) : value;
+    if (!Array.isArray(items)) throw new Error(`${name} must be a list, got ${show(value)}`);
+    return items.map((entry, i) => item(entry, `${name}[${i}]`));
+  };
+}
+
+// Reads the forms OLLAMA_HOST takes: ":8081", "gpu-box:8080" or a full URL.
+// Null for anything URL can't make an http(s) address of.
+function addressUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const raw = value.trim();
+  const withHost = raw.startsWith(':') ? `127.0.0.1${raw}` : raw;
+  try {
+    return new URL(/^https?:\/\//.test(withHost) ? withHost : `http://${withHost}`);
+  } catch {
+    return null;
+  }
+}
+
+// Kept as given, since resolveHosts turns it into a URL the way it does
+// OLLAMA_HOST.
+function hostAddress(value, name) {
+  if (!addressUrl(value)) {
+    throw new Error(`${name} must be a host such as 127.0.0.1:11434, got ${show(value)}`);
+  }
+  return value.trim();
+}
+
+// A missing port is filled in once the default port is known; URL drops a
+// scheme's own port (":80"), so whether one was given is kept separately.
+function endpoint(value, name) {
+  const url = addressUrl(value);
+  if (!url || (url.pathname !== '/' && url.pathname !== '')) {
+    throw new Error(`${name} must be a llama-server address such as gpu-box:8080, got ${show(value)}`);
+  }
+  return { origin: url.origin, hasPort: url.port !== '' || /:\d+\/?$/.test(value.trim()) };
+}
+
+function color(value, name) {
+  if (typeof value !== 'string' || !(COLOR_NAMES.has(value) || /^#[0-9a-f]{6}$/i.test(value))) {
+    throw new Error(
+      `${name} must be a color name (${BASIC_COLORS.join(', ')}, or light-/bright- variants) ` +
+      `or #rrggbb, got ${show(value)}`
+    );
+  }
+  return value;
+}
+
+function object(fields) {
+  return (value, name) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${name} must be an object, got ${show(value)}`);
+    }
+    const out = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (!fields[key]) {
+        throw new Error(`${name} has no setting '${key}'; expected one of ${Object.keys(fields).join(', ')}`);
+      }
+      out[key] = fields[key](entry, `${name}.${key}`);
+    }
+    return out;
+  };
+}
+
+function nonEmpty(parse, what) {
+  return (value, name) => {
+    const items = parse(value, name);
+    if (!items.length) throw new Error(`${name} must list at least one ${what}`);
+    return items;
+  };
+}
+
+function columns(table) {
+  const column = (id, name) => {
+    if (!COLUMNS[table].includes(id)) {
+      throw new Error(`${name} is not a ${table} column; expected one of ${COLUMNS[table].join(', ')}`);
+    }
+    return id;
+  };
+  return nonEmpty(list(column), 'column');
+}
+
+// Alert rules by id, with the validator for the rule's threshold: a percent
+// of GPU memory, or bytes of swap per second. The others have none.
+const ALERT_THRESHOLDS = {
+  'gpu-memory': integer(1, 100),
+  'model-spilled': null,
+  'engine-gone': null,
+  'ollama-down': null,
+  'swap-growing': integer(1, 1024 ** 4)
+};
+
+const ALERT_KEYS = { for: 'forMs', clear: 'clearMs', threshold: 'threshold' };
+
+function alertRule(threshold) {
+  const fields = { for: duration(0, 3_600_000), clear: duration(0, 3_600_000) };
+  if (threshold) fields.threshold = threshold;
+  const parse = object(fields);
+  return (value, name) =>
+    Object.fromEntries(Object.entries(parse(value, name)).map(([key, entry]) => [ALERT_KEYS[key], entry]));
+}
+
+// The file's keys, with the flag and environment variable that set the same
+// thing. Columns, colors and alerts are structured, so they live in the file
+// only.
+const SETTINGS = {
+  tick: { key: 'tickMs', flag: '--tick', env: 'TOPOLLAMA_TICK', parse: duration(100, 60_000) },
+  httpInterval: {
+    key: 'httpIntervalMs',
+    flag: '--http-interval',
+    env: 'TOPOLLAMA_HTTP_INTERVAL',
+    parse: duration(250, 600_000)
+  },
+  staticInterval: {
+    key: 'staticIntervalMs',
+    flag: '--static-interval',
+    env: 'TOPOLLAMA_STATIC_INTERVAL',
+    parse: duration(1_000, 3_600_000)
+  },
+  ollamaHosts: { key: 'ollamaHosts', flag: '--ollama-host', env: null, parse: list(hostAddress) },
+  llamaServers: {
+    key: 'llamaServers',
+    flag: '--llama-server',
+    env: 'TOPOLLAMA_LLAMA_SERVERS',
+    parse: list(endpoint)
+  },
+  llamaServerPort: {
+    key: 'llamaServerPort',
+    flag: '--llama-server-port',
+    env: 'TOPOLLAMA_LLAMA_SERVER_PORT',
+    parse: integer(1, 65535)
+  },
+  history: { key: 'historyLength', flag: '--history', env: 'TOPOLLAMA_HISTORY', parse: integer(10, 3_600) },
+  alerts: {
+    key: 'alerts',
+    flag: null,
+    env: null,
+    parse: object(
+      Object.fromEntries(Object.entries(ALERT_THRESHOLDS).map(([id, threshold]) => [id, alertRule(threshold)]))
+    )
+  },
+  columns: {
+    key: 'columns',
+    flag: null,
+    env: null,
+    parse: object({ models: columns('models'), engines: columns('engines'), requests: columns('requests') })
+  },
+  colors: {
+    key: 'colors',
+    flag: null,
+    env: null,
+    parse: object({
+      border: color,
+      selected: color,
+      cpu: color,
+      gpus: nonEmpty(list(color), 'color'),
+      memoryUsed: color,
+      memoryFree: color
+    })
+  }
+};
+
+export function defaultConfigPath(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'topollama', 'config.json');
+}
+
+// Reads the config file. The default location is optional; a file asked for
+// by name (--config or TOPOLLAMA_CONFIG) has to exist.
+export function readConfigFile(file, { required = false } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return {};
+    throw new Error(`cannot read config ${file}: ${error.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${file} must hold a JSON object of settings`);
+  }
+  return parsed;
+}
+
+// Validates the file's contents into internal keys, naming the file in errors.
+export function parseConfigFile(raw, file) {
+  const out = {};
+  for (const [name, value] of Object.entries(raw)) {
+    const setting = SETTINGS[name];
+    if (!setting) {
+      throw new Error(`${file}: unknown setting '${name}'; expected one of ${Object.keys(SETTINGS).join(', ')}`);
+    }
+    try {
+      out[setting.key] = setting.parse(value, `'${name}'`);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+  return out;
+}
+
+function parseSource(values, source) {
+  const out = {};
+  for (const setting of Object.values(SETTINGS)) {
+    const name = setting[source];
+    if (!name || values[name] === undefined) continue;
+    out[setting.key] = setting.parse(values[name], name);
+  }
+  return out;
+}
+
+// Merges every source into one settled config. `flags` maps flag names to
+// the raw strings given on the command line; `file` overrides the config
+// path. Ollama hosts keep their existing precedence: --ollama-host, then
+// OLLAMA_HOST, then the file.
+export function loadConfig({ file = null, flags = {} } = {}, env = process.env) {
+  const named = file ?? env.TOPOLLAMA_CONFIG ?? null;
+  const configFile = named ?? defaultConfigPath(env);
+  const fromFile = parseConfigFile(readConfigFile(configFile, { required: named !== null }), configFile);
+  const fromEnv = parseSource(env, 'env');
+  const fromFlags = parseSource(flags, 'flag');
+
+  const config = { ...DEFAULT_CONFIG, ...fromFile, ...fromEnv, ...fromFlags };
+  config.columns = { ...DEFAULT_CONFIG.columns, ...fromFile.columns };
+  config.colors = { ...DEFAULT_CONFIG.colors, ...fromFile.colors };
+
+  // Each tier has to run at least as often as it can be sampled. An interval
+  // left at its default follows a slower tick instead of failing the check.
+  const given = (key) => key in fromFile || key in fromEnv || key in fromFlags;
+  if (!given('httpIntervalMs')) config.httpIntervalMs = Math.max(config.httpIntervalMs, config.tickMs);
+  if (!given('staticIntervalMs')) config.staticIntervalMs = Math.max(config.staticIntervalMs, config.httpIntervalMs);
+  if (config.httpIntervalMs < config.tickMs) {
+    throw new Error(`the HTTP interval (${config.httpIntervalMs}ms) cannot be shorter than the tick (${config.tickMs}ms)`);
+  }
+  if (config.staticIntervalMs < config.httpIntervalMs) {
+    throw new Error(
+      `the static interval (${config.staticIntervalMs}ms) cannot be shorter than the HTTP interval (${config.httpIntervalMs}ms)`
+    );
+  }
+
+  const hosts = fromFlags.ollamaHosts?.length
+    ? fromFlags.ollamaHosts
+    : env.OLLAMA_HOST
+      ? []
+      : fromFile.ollamaHosts ?? [];
+  config.ollamaHosts = resolveHosts(hosts, env);
+
+  // An address without a port means llama-server's default one.
+  config.llamaServers = [
+    ...new Set(
+      config.llamaServers.map(({ origin, hasPort }) => (hasPort ? origin : `${origin}:${config.llamaServerPort}`))
+    )
+  ];
+
+  return { ...config, file: configFile };
+}
+
+// The part of the config the collector takes.
+export function collectorOptions(config) {
+  return {
+    ollamaHosts: config.ollamaHosts,
+    httpIntervalMs: config.httpIntervalMs,
+    staticIntervalMs: config.staticIntervalMs,
+    llamaServers: config.llamaServers,
+    llamaServerPort: config.llamaServerPort,
+    historyLength: config.historyLength
+  };
+}
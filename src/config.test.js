@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { loadConfig, parseConfigFile, defaultConfigPath, DEFAULT_CONFIG } from './config.js';
+
+// An empty config home, or one holding config.json with the given contents.
+// XDG_CONFIG_HOME points the default path at it.
+function configHome(contents) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'topollama-'));
+  if (contents !== undefined) {
+    mkdirSync(path.join(dir, 'topollama'));
+    const text = typeof contents === 'string' ? contents : JSON.stringify(contents);
+    writeFileSync(path.join(dir, 'topollama', 'config.json'), text);
+  }
+  return { XDG_CONFIG_HOME: dir };
+}
+
+test('uses the defaults when there is no config file', () => {
+  const config = loadConfig({}, configHome());
+  assert.equal(config.tickMs, 1_000);
+  assert.equal(config.historyLength, 60);
+  assert.deepEqual(config.ollamaHosts, ['http://127.0.0.1:11434']);
+  assert.deepEqual(config.columns, DEFAULT_CONFIG.columns);
+});
+
+test('looks for the file under XDG_CONFIG_HOME, else ~/.config', () => {
+  assert.equal(defaultConfigPath({ XDG_CONFIG_HOME: '/cfg' }), '/cfg/topollama/config.json');
+  assert.match(defaultConfigPath({}), /\.config\/topollama\/config\.json$/);
+});
+
+test('reads settings from the file, with durations in any unit', () => {
+  const env = configHome({
+    tick: '500ms',
+    httpInterval: 2_000,
+    staticInterval: '1m',
+    history: 300,
+    ollamaHosts: ['gpu-box:11434'],
+    llamaServers: ['gpu-box', ':8081'],
+    llamaServerPort: 8090,
+    columns: { models: ['model', 'loaded', 'on-gpu'] },
+    colors: { border: 'green', gpus: ['#ff8800'] }
+  });
+  const config = loadConfig({}, env);
+
+  assert.equal(config.tickMs, 500);
+  assert.equal(config.staticIntervalMs, 60_000);
+  assert.equal(config.historyLength, 300);
+  assert.deepEqual(config.ollamaHosts, ['http://gpu-box:11434']);
+  // An address without a port gets llama-server's default one.
+  assert.deepEqual(config.llamaServers, ['http://gpu-box:8090', 'http://127.0.0.1:8081']);
+  assert.deepEqual(config.columns.models, ['model', 'loaded', 'on-gpu']);
+  assert.deepEqual(config.columns.engines, DEFAULT_CONFIG.columns.engines);
+  assert.equal(config.colors.border, 'green');
+  assert.equal(config.colors.cpu, 'cyan');
+});
+
+test('lets environment variables override the file and flags override both', () => {
+  const env = { ...configHome({ tick: '2s', history: 120 }), TOPOLLAMA_TICK: '1500ms', TOPOLLAMA_HISTORY: '90' };
+  const config = loadConfig({ flags: { '--history': '30' } }, env);
+  assert.equal(config.tickMs, 1_500);
+  assert.equal(config.historyLength, 30);
+});
+
+test('keeps OLLAMA_HOST ahead of the file\'s hosts and --ollama-host ahead of both', () => {
+  const env = { ...configHome({ ollamaHosts: ['box1'] }), OLLAMA_HOST: 'box2:11434' };
+  assert.deepEqual(loadConfig({}, env).ollamaHosts, ['http://box2:11434']);
+  assert.deepEqual(loadConfig({ flags: { '--ollama-host': ['box3:11434'] } }, env).ollamaHosts, ['http://box3:11434']);
+});
+
+test('reads a comma-separated list from the environment', () => {
+  const env = { ...configHome(), TOPOLLAMA_LLAMA_SERVERS: 'a:8080, b:8081' };
+  assert.deepEqual(loadConfig({}, env).llamaServers, ['http://a:8080', 'http://b:8081']);
+});
+
+test('names the file and the setting in validation errors', () => {
+  const file = '/etc/topollama.json';
+  assert.throws(() => parseConfigFile({ tik: '1s' }, file), /\/etc\/topollama\.json: unknown setting 'tik'; expected one of tick,/);
+  assert.throws(() => parseConfigFile({ tick: 'fast' }, file), /'tick' must be a duration such as 500ms, 2s or 1m, got "fast"/);
+  assert.throws(() => parseConfigFile({ tick: '10ms' }, file), /'tick' must be between 100ms and 60s/);
+  assert.throws(() => parseConfigFile({ history: 2.5 }, file), /'history' must be a whole number from 10 to 3600, got 2.5/);
+  assert.throws(() => parseConfigFile({ llamaServers: ['gpu-box:8080/v1'] }, file), /'llamaServers'\[0\] must be a llama-server address/);
+  assert.throws(() => parseConfigFile({ llamaServers: ['gpu box'] }, file), /'llamaServers'\[0\] must be a llama-server address/);
+  assert.throws(() => parseConfigFile({ ollamaHosts: ['box1', 'foo bar'] }, file), /'ollamaHosts'\[1\] must be a host such as 127\.0\.0\.1:11434, got "foo bar"/);
+  assert.throws(() => parseConfigFile({ ollamaHosts: ['http://'] }, file), /'ollamaHosts'\[0\] must be a host/);
+  assert.throws(() => parseConfigFile({ columns: { models: ['model', 'size'] } }, file), /'columns'\.models\[1\] is not a models column; expected one of model, id,/);
+  assert.throws(() => parseConfigFile({ columns: { models: [] } }, file), /must list at least one column/);
+  assert.throws(() => parseConfigFile({ colors: { border: 'teal' } }, file), /'colors'\.border must be a color name/);
+  assert.throws(() => parseConfigFile({ colors: { background: 'red' } }, file), /'colors' has no setting 'background'/);
+});
+
+test('reads alert thresholds and timings by rule', () => {
+  const config = loadConfig({}, configHome({
+    alerts: { 'gpu-memory': { threshold: 80, for: '30s' }, 'engine-gone': { clear: '1m' } }
+  }));
+  assert.deepEqual(config.alerts, {
+    'gpu-memory': { threshold: 80, forMs: 30_000 },
+    'engine-gone': { clearMs: 60_000 }
+  });
+  assert.deepEqual(loadConfig({}, configHome()).alerts, {});
+});
+
+test('rejects an unknown alert rule, or a threshold on a rule without one', () => {
+  assert.throws(() => loadConfig({}, configHome({ alerts: { 'gpu-hot': {} } })), /'alerts' has no setting 'gpu-hot'/);
+  assert.throws(
+    () => loadConfig({}, configHome({ alerts: { 'ollama-down': { threshold: 3 } } })),
+    /'alerts'\.ollama-down has no setting 'threshold'; expected one of for, clear/
+  );
+  assert.throws(
+    () => loadConfig({}, configHome({ alerts: { 'gpu-memory': { threshold: 120 } } })),
+    /'alerts'\.gpu-memory\.threshold must be a whole number from 1 to 100/
+  );
+});
+
+test('names the flag or variable a bad value came from', () => {
+  assert.throws(() => loadConfig({ flags: { '--tick': 'soon' } }, configHome()), /^Error: --tick must be a duration/);
+  assert.throws(() => loadConfig({}, { ...configHome(), TOPOLLAMA_HISTORY: 'lots' }), /^Error: TOPOLLAMA_HISTORY must be a whole number/);
+});
+
+test('rejects intervals that would poll less often than they sample', () => {
+  assert.throws(
+    () => loadConfig({ flags: { '--tick': '5s', '--http-interval': '2s' } }, configHome()),
+    /HTTP interval \(2000ms\) cannot be shorter than the tick \(5000ms\)/
+  );
+});
+
+test('raises intervals left at their defaults to a slower tick', () => {
+  const config = loadConfig({ flags: { '--tick': '5s' } }, configHome());
+  assert.equal(config.httpIntervalMs, 5_000);
+  assert.equal(config.staticIntervalMs, 10_000);
+
+  const slow = loadConfig({ flags: { '--tick': '20s' } }, { ...configHome(), TOPOLLAMA_HTTP_INTERVAL: '30s' });
+  assert.equal(slow.httpIntervalMs, 30_000);
+  assert.equal(slow.staticIntervalMs, 30_000);
+});
+
+test('fails on a named config file that is missing or not JSON, but not on a missing default one', () => {
+  assert.throws(() => loadConfig({ file: '/nonexistent/topollama.json' }, configHome()), /cannot read config \/nonexistent\/topollama\.json/);
+  assert.throws(() => loadConfig({}, configHome('{ "tick": 1000, }')), /is not valid JSON/);
+  assert.throws(() => loadConfig({}, configHome('[]')), /must hold a JSON object of settings/);
+});
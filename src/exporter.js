@@ -0,0 +1,148 @@
+import http from 'http';
+
+import { createCollector } from './collect/index.js';
+import { localOllama } from './collect/engines/ollama.js';
+import { collectEvery } from './loop.js';
+import { collectorOptions } from './config.js';
+
+// Prometheus exporter. The collector keeps ticking at its usual 1s cadence with
+// its own HTTP and static tiers; a scrape just renders the latest snapshot, so
+// scraping never triggers a sample and any number of scrapers cost the same.
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).filter(([, v]) => v !== null && v !== undefined);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+
+// Renders one metric family. Samples with no value are left out rather than
+// exported as NaN, which would read as a real reading in most dashboards.
+function family(name, help, type, samples) {
+  const lines = samples
+    .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+    .map(([labels, value]) => `${name}${labelText(labels)} ${value}`);
+  if (!lines.length) return '';
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${lines.join('\n')}\n`;
+}
+
+const basename = (path) => (path ? path.substring(path.lastIndexOf('/') + 1) : null);
+
+function engineLabels(engine, snapshot) {
+  // An Ollama runner is named by blob; the loaded model's name is what a
+  // dashboard reader can act on.
+  const model =
+    engine.kind === 'ollama' ? localOllama(snapshot)?.loaded[0]?.name ?? null : basename(engine.model);
+  return {
+    kind: engine.kind,
+    pid: engine.pid,
+    port: engine.port,
+    model
+  };
+}
+
+export function formatMetrics(snapshot) {
+  const { host, gpus, engines } = snapshot;
+  const ollamaHosts = snapshot.ollamaHosts ?? [snapshot.ollama];
+  const gpuLabels = (gpu) => ({ gpu: gpu.index, name: gpu.name });
+  const modelLabels = (model) => ({ host: model.host, model: model.name });
+  const loaded = ollamaHosts.flatMap((state) => state.loaded.map((model) => ({ ...model, host: state.host })));
+  const history = ollamaHosts.flatMap((state) => (state.residency ?? []).map((h) => ({ ...h, host: state.host })));
+  const engineRows = engines.map((engine) => [engineLabels(engine, snapshot), engine]);
+
+  return [
+    family('topollama_host_cpu_percent', 'Machine-wide CPU utilization.', 'gauge', [[{}, host.cpu]]),
+    family('topollama_host_cpu_cores', 'Logical CPU cores.', 'gauge', [[{}, host.cores]]),
+    family('topollama_host_memory_total_bytes', 'Physical memory.', 'gauge', [[{}, host.memTotal]]),
+    family('topollama_host_memory_used_bytes', 'Physical memory in use.', 'gauge', [[{}, host.memUsed]]),
+    family('topollama_host_memory_available_bytes', 'Memory available to new allocations.', 'gauge', [[{}, host.memFree]]),
+    family('topollama_host_swap_total_bytes', 'Swap space.', 'gauge', [[{}, host.swapTotal]]),
+    family('topollama_host_swap_used_bytes', 'Swap space in use.', 'gauge', [[{}, host.swapUsed]]),
+
+    family('topollama_gpu_utilization_percent', 'GPU utilization.', 'gauge',
+      gpus.map((gpu) => [gpuLabels(gpu), gpu.util])),
+    family('topollama_gpu_memory_allocated_bytes', 'GPU memory allocated.', 'gauge',
+      gpus.map((gpu) => [gpuLabels(gpu), gpu.allocBytes])),
+    family('topollama_gpu_memory_total_bytes', 'GPU memory capacity.', 'gauge',
+      gpus.map((gpu) => [gpuLabels(gpu), gpu.totalBytes])),
+
+    family('topollama_ollama_up', 'Whether the Ollama API answered the last poll.', 'gauge',
+      ollamaHosts.map((state) => [{ host: state.host }, state.up ? 1 : 0])),
+    family('topollama_model_size_bytes', 'Memory a loaded model occupies (size from /api/ps).', 'gauge',
+      loaded.map((m) => [modelLabels(m), m.sizeBytes])),
+    family('topollama_model_vram_bytes', 'Part of a loaded model resident in VRAM (size_vram).', 'gauge',
+      loaded.map((m) => [modelLabels(m), m.vramBytes])),
+    family('topollama_model_gpu_percent', 'Share of a loaded model placed on the GPU.', 'gauge',
+      loaded.map((m) => [modelLabels(m), m.gpuPct])),
+    family('topollama_model_gpu_device', 'GPU devices a loaded model occupies, one series per device.', 'gauge',
+      loaded.flatMap((m) => (m.devices ?? []).map((gpu) => [{ ...modelLabels(m), gpu }, 1]))),
+    family('topollama_model_expires_at_seconds', 'When Ollama will unload the model, as a Unix timestamp.', 'gauge',
+      loaded.map((m) => [modelLabels(m), m.expiresAt ? Date.parse(m.expiresAt) / 1000 : null])),
+    family('topollama_model_loads_total', 'Loads of a model seen since the exporter started.', 'counter',
+      history.map((h) => [modelLabels(h), h.loads])),
+    family('topollama_model_evictions_total', 'Unloads of a model before its keep-alive expired.', 'counter',
+      history.map((h) => [modelLabels(h), h.evictions])),
+
+    family('topollama_engine_cpu_percent', 'CPU used by an engine and its runner processes.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.cpu])),
+    family('topollama_engine_rss_bytes', 'Resident memory of an engine and its runner processes.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.rssBytes])),
+    family('topollama_engine_tokens_per_second', 'Generation throughput between the last two polls of the engine.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.telemetry?.metrics?.predictedTps])),
+    family('topollama_engine_prompt_tokens_per_second', 'Prompt processing throughput between the last two polls.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.telemetry?.metrics?.promptTps])),
+    family('topollama_engine_kv_cache_usage_ratio', 'Share of the engine\'s KV cache in use, from 0 to 1.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.telemetry?.metrics?.kvCacheUsage])),
+    family('topollama_engine_slots_total', 'Parallel slots the engine serves.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.telemetry?.slots?.total])),
+    family('topollama_engine_slots_busy', 'Slots currently processing a request.', 'gauge',
+      engineRows.map(([labels, e]) => [labels, e.telemetry?.slots?.processing]))
+  ].join('');
+}
+
+const TICK_MS = 1000;
+
+export function createExporter({ collect = createCollector(), tickMs = TICK_MS } = {}) {
+  let latest = null;
+  const loop = collectEvery(collect, tickMs, (snapshot) => {
+    latest = snapshot;
+  });
+
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    if (req.method !== 'GET' || path !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('topollama exporter: metrics are served on /metrics\n');
+      return;
+    }
+    if (!latest) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('no sample collected yet\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(formatMetrics(latest));
+  });
+
+  return {
+    server,
+    ready: loop.first,
+    listen({ host, port }) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address()));
+      });
+    },
+    close() {
+      loop.stop();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+export async function runExporter({ listen, config }) {
+  const exporter = createExporter({ collect: createCollector(collectorOptions(config)), tickMs: config.tickMs });
+  const address = await exporter.listen(listen);
+  console.error(`topollama exporter listening on ${address.address}:${address.port}/metrics`);
+}
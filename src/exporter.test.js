@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatMetrics, createExporter } from './exporter.js';
+
+const snapshot = {
+  t: 1,
+  gpus: [{ index: 0, name: 'Apple M5', util: 14, allocBytes: 5_000_000_000, totalBytes: 25_769_803_776 }],
+  host: {
+    cpu: 23.4,
+    cores: 10,
+    memTotal: 25_769_803_776,
+    memUsed: 18_000_000_000,
+    memFree: 7_769_803_776,
+    swapTotal: null,
+    swapUsed: null
+  },
+  ollama: {
+    up: true,
+    host: 'http://127.0.0.1:11434',
+    loaded: [{
+      name: 'qwen3:0.6b',
+      sizeBytes: 5287958282,
+      vramBytes: 5287958282,
+      gpuPct: 100,
+      devices: null,
+      expiresAt: '2026-08-12T12:50:12Z'
+    }],
+    disk: [],
+    residency: [{ name: 'qwen3:0.6b', resident: true, loads: 4, unloads: 3, evictions: 2 }]
+  },
+  engines: [
+    { kind: 'ollama', pid: 9011, port: 63188, model: '/blobs/sha256-7f40', cpu: 12.5, rssBytes: 5_000_000_000,
+      telemetry: { slots: { total: 1, processing: 0 }, metrics: null } },
+    { kind: 'llama-server', pid: 500, port: 8080, model: '/models/qwen "q4".gguf', cpu: 90, rssBytes: 4_000_000_000,
+      telemetry: { slots: { total: 2, processing: 1 }, metrics: { predictedTps: 41.5, promptTps: 380, kvCacheUsage: 0.25 } } }
+  ]
+};
+
+test('exports host figures as unlabelled gauges', () => {
+  const text = formatMetrics(snapshot);
+  assert.match(text, /^topollama_host_cpu_percent 23\.4$/m);
+  assert.match(text, /# TYPE topollama_host_cpu_percent gauge/);
+});
+
+test('labels GPU series by device index and name', () => {
+  assert.match(formatMetrics(snapshot), /^topollama_gpu_utilization_percent\{gpu="0",name="Apple M5"\} 14$/m);
+});
+
+test('exports loaded model size, vram, placement and expiry', () => {
+  const text = formatMetrics(snapshot);
+  const labels = '{host="http://127.0.0.1:11434",model="qwen3:0.6b"}';
+  assert.ok(text.includes(`topollama_model_size_bytes${labels} 5287958282`));
+  assert.ok(text.includes(`topollama_model_vram_bytes${labels} 5287958282`));
+  assert.ok(text.includes(`topollama_model_gpu_percent${labels} 100`));
+  assert.ok(text.includes(`topollama_model_expires_at_seconds${labels} ${Date.parse('2026-08-12T12:50:12Z') / 1000}`));
+});
+
+test('exports load and eviction counts as counters', () => {
+  const text = formatMetrics(snapshot);
+  const labels = '{host="http://127.0.0.1:11434",model="qwen3:0.6b"}';
+  assert.match(text, /# TYPE topollama_model_evictions_total counter/);
+  assert.ok(text.includes(`topollama_model_loads_total${labels} 4`));
+  assert.ok(text.includes(`topollama_model_evictions_total${labels} 2`));
+});
+
+test('labels engines by kind, pid, port and model', () => {
+  const text = formatMetrics(snapshot);
+  assert.ok(text.includes('topollama_engine_cpu_percent{kind="ollama",pid="9011",port="63188",model="qwen3:0.6b"} 12.5'));
+  assert.ok(text.includes('topollama_engine_slots_busy{kind="llama-server",pid="500",port="8080",model="qwen \\"q4\\".gguf"} 1'));
+  assert.match(text, /^topollama_engine_kv_cache_usage_ratio\{kind="llama-server",pid="500".*\} 0\.25$/m);
+  assert.match(text, /^topollama_engine_prompt_tokens_per_second\{kind="llama-server",pid="500".*\} 380$/m);
+});
+
+test('leaves out samples the engine could not report', () => {
+  const text = formatMetrics(snapshot);
+  assert.equal((text.match(/^topollama_engine_tokens_per_second\{/gm) ?? []).length, 1);
+  assert.doesNotMatch(text, /topollama_host_swap_total_bytes/);
+});
+
+test('serves the latest snapshot on /metrics', async () => {
+  const exporter = createExporter({ collect: async () => snapshot, tickMs: 10_000 });
+  try {
+    await exporter.ready;
+    const { port } = await exporter.listen({ host: '127.0.0.1', port: 0 });
+    const res = await fetch(`http://127.0.0.1:${port}/metrics`);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.match(await res.text(), /^topollama_ollama_up\{host="http:\/\/127\.0\.0\.1:11434"\} 1$/m);
+  } finally {
+    await exporter.close();
+  }
+});
+
+test('answers 404 for anything but /metrics', async () => {
+  const exporter = createExporter({ collect: async () => snapshot, tickMs: 10_000 });
+  try {
+    const { port } = await exporter.listen({ host: '127.0.0.1', port: 0 });
+    assert.equal((await fetch(`http://127.0.0.1:${port}/`)).status, 404);
+  } finally {
+    await exporter.close();
+  }
+});
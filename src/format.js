@@ -25,3 +25,41 @@ export function formatBar(value, width) {
   const filled = Math.max(0, Math.min(width, Math.round((pct / 100) * width)));
   return '█'.repeat(filled) + '░'.repeat(width - filled);
 }
+
+// Short enough for a table cell: sub-second loads keep their milliseconds, the
+// rest get one decimal until they run into minutes.
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return '-';
+  // Each unit is picked after rounding to what it shows, so 59_999 reads
+  // as 1m00s rather than 60.0s.
+  if (Math.round(ms) < 1000) return `${Math.round(ms)}ms`;
+  const tenths = Math.round(ms / 100);
+  if (tenths < 600) return `${(tenths / 10).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Coarser than formatDuration, for spans of minutes to days: two units at most.
+export function formatSpan(ms) {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return '-';
+  if (ms === Infinity) return 'forever';
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const pad = (n) => String(n).padStart(2, '0');
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m${pad(seconds % 60)}s`;
+  if (seconds < 86_400) return `${Math.floor(seconds / 3600)}h${pad(Math.floor(seconds / 60) % 60)}m`;
+  return `${Math.floor(seconds / 86_400)}d${pad(Math.floor(seconds / 3600) % 24)}h`;
+}
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+// One block per value, scaled against `max`; a missing value leaves a gap.
+export function formatSparkline(values, max) {
+  return values
+    .map((value) => {
+      if (value === null || value === undefined || Number.isNaN(value)) return ' ';
+      const level = max > 0 ? Math.round((Math.min(value, max) / max) * (SPARK.length - 1)) : 0;
+      return SPARK[Math.max(0, level)];
+    })
+    .join('');
+}
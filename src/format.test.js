@@ -1,7 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { formatSize, formatPct, formatBar } from './format.js';
+import { formatSize, formatPct, formatBar, formatDuration, formatSpan, formatSparkline } from './format.js';
 
 // Ollama prints decimal GB (5287958282 bytes -> "5.3 GB"). Matching that lets a
 // reader cross-check the table against `ollama ps` without unit arithmetic.
@@ -53,3 +53,41 @@ test('clamps a bar above one hundred rather than overflowing its width', () => {
 test('treats a missing value as an empty bar', () => {
   assert.equal(formatBar(null, 4), '░░░░');
 });
+
+test('formats a sub-second duration in milliseconds', () => {
+  assert.equal(formatDuration(850), '850ms');
+});
+
+test('formats seconds with one decimal', () => {
+  assert.equal(formatDuration(3240), '3.2s');
+});
+
+test('formats long durations in minutes and seconds', () => {
+  assert.equal(formatDuration(64_000), '1m04s');
+});
+
+test('rounds before choosing the unit', () => {
+  assert.equal(formatDuration(999.6), '1.0s');
+  assert.equal(formatDuration(59_999), '1m00s');
+  assert.equal(formatDuration(119_700), '2m00s');
+});
+
+test('renders a dash for a missing duration', () => {
+  assert.equal(formatDuration(null), '-');
+});
+
+test('formats spans with the two largest units', () => {
+  assert.equal(formatSpan(42_900), '42s');
+  assert.equal(formatSpan(299_000), '4m59s');
+  assert.equal(formatSpan(3_900_000), '1h05m');
+  assert.equal(formatSpan(2 * 86_400_000 + 4 * 3_600_000), '2d04h');
+});
+
+test('spells out an endless span', () => {
+  assert.equal(formatSpan(Infinity), 'forever');
+});
+
+test('draws a sparkline scaled to its maximum, with gaps for missing values', () => {
+  assert.equal(formatSparkline([0, 50, 100, null, 250], 100), '▁▅█ █');
+  assert.equal(formatSparkline([0, 0], 0), '▁▁');
+});
@@ -1,30 +1,141 @@
 import { formatSize, formatPct, formatBar } from './format.js';
+import { localOllama } from './collect/engines/ollama.js';
+import { DEFAULT_THRESHOLDS } from './alerts.js';
 
 // The header carries the machine-wide truth: on unified memory every engine's
 // allocations land in the same accelerator, so these figures are correct no
-// matter which engines are running.
+// matter which engines are running. Discrete cards get a line each plus a
+// combined line, since a model split across cards loads all of them.
 
-export function headerTitle(snapshot) {
-  const gpu = snapshot.gpu;
-  if (!gpu) return 'topollama';
+const sumOf = (values) =>
+  values.some((v) => typeof v === 'number')
+    ? values.reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0)
+    : null;
+
+// Utilization averages across devices (two cards at 50% is half the machine's
+// GPU capacity); memory sums.
+export function aggregateGpus(gpus) {
+  if (!gpus || gpus.length === 0) return null;
+
+  const utils = gpus.map((gpu) => gpu.util).filter((u) => typeof u === 'number');
+  return {
+    util: utils.length ? Math.round((utils.reduce((a, b) => a + b, 0) / utils.length) * 10) / 10 : null,
+    allocBytes: sumOf(gpus.map((gpu) => gpu.allocBytes)),
+    totalBytes: sumOf(gpus.map((gpu) => gpu.totalBytes))
+  };
+}
+
+function deviceTitle(gpu) {
+  if (gpu.cores === null || gpu.cores === undefined) return gpu.name ?? 'topollama';
   return `${gpu.name} · ${gpu.cores} GPU cores`;
 }
 
-export function formatHeader(snapshot) {
-  const { gpu, host } = snapshot;
+export function headerTitle(snapshot) {
+  const gpus = snapshot.gpus ?? [];
+  if (gpus.length === 0) return 'topollama';
+  if (gpus.length === 1) return deviceTitle(gpus[0]);
+
+  const names = [...new Set(gpus.map((gpu) => gpu.name))];
+  return names.length === 1 ? `${gpus.length}× ${names[0]}` : names.join(' + ');
+}
+
+function gpuLine(label, gpu) {
+  const util = gpu ? formatPct(gpu.util) : '-';
+  const bar = formatBar(gpu ? gpu.util : null, 12);
+  const mem = gpu ? `${formatSize(gpu.allocBytes)} / ${formatSize(gpu.totalBytes)}` : '-';
+  return `{cyan-fg}${label}{/} ${util.padStart(4)} ${bar}  {cyan-fg}VRAM{/} ${mem}`;
+}
+
+// The model most likely to be behind the swapping: the loaded model with the
+// most weights held in host memory, or failing that the biggest engine.
+function swapCulprit(snapshot) {
+  const loaded = [...(localOllama(snapshot)?.loaded ?? [])].sort(
+    (a, b) => (b.sizeBytes - b.vramBytes) - (a.sizeBytes - a.vramBytes)
+  );
+  if (loaded.length) return loaded[0].name;
+
+  const engines = [...(snapshot.engines ?? [])].filter((e) => e.model).sort((a, b) => b.rssBytes - a.rssBytes);
+  if (!engines.length) return null;
+  const model = engines[0].model;
+  return model.substring(model.lastIndexOf('/') + 1);
+}
+
+// Flags the situation that makes tok/s fall off a cliff: a model is resident
+// and the machine is pushing pages into swap or stalling on memory. Swap
+// counts as growing past the swap-growing alert's threshold; anything under
+// its default ~1 MB/s is the kernel trickling idle pages out, which does not
+// show up in generation speed.
+export function swapWarning(snapshot, swapBytesPerSec = DEFAULT_THRESHOLDS.swapBytesPerSec) {
+  const { host } = snapshot;
+  const culprit = swapCulprit(snapshot);
+  if (!culprit) return null;
 
-  const gpuUtil = gpu ? formatPct(gpu.util) : '-';
-  const gpuBar = formatBar(gpu ? gpu.util : null, 12);
-  const gpuMem = gpu
-    ? `${formatSize(gpu.allocBytes)} / ${formatSize(gpu.totalBytes)}`
-    : '-';
+  const growing = (host.swapRate ?? 0) > swapBytesPerSec;
+  const critical = host.pressure?.level === 'critical';
+  if (!growing && !critical) return null;
+
+  return growing
+    ? `SWAPPING ${formatSize(host.swapRate)}/s · ${culprit}`
+    : `MEMORY PRESSURE · ${culprit}`;
+}
+
+// Blessed markup in an alert (a model name, an error message) would be
+// rendered rather than shown, as blessed.escape would prevent.
+const escapeTags = (text) => text.replace(/[{}]/g, (ch) => (ch === '{' ? '{open}' : '{close}'));
+
+// Alerts beyond this many are summarized, so a bad moment can't push the
+// models table off the screen.
+const ALERT_LINES = 2;
+
+export function alertLines(alerts) {
+  const shown = alerts.length > ALERT_LINES ? alerts.slice(0, ALERT_LINES - 1) : alerts;
+  const lines = shown.map((alert) => `{red-bg}{white-fg}{bold} ALERT {/} {red-fg}${escapeTags(alert.message)}{/}`);
+  if (shown.length < alerts.length) {
+    lines.push(`{red-bg}{white-fg}{bold} ALERT {/} {red-fg}+${alerts.length - shown.length} more{/}`);
+  }
+  return lines;
+}
+
+// One line per header row, so the caller can size the box to fit. Active
+// alerts, if any, go last. `thresholds` are the alert rules' (alertThresholds).
+export function headerLines(snapshot, alerts = [], thresholds = DEFAULT_THRESHOLDS) {
+  const { host } = snapshot;
+  const gpus = snapshot.gpus ?? [];
+
+  let rows;
+  if (gpus.length <= 1) {
+    rows = [['GPU', gpus[0] ?? null]];
+  } else {
+    rows = [
+      ...gpus.map((gpu) => [`GPU${gpu.index}`, gpu]),
+      ['ALL', aggregateGpus(gpus)]
+    ];
+  }
+
+  const width = Math.max(3, ...rows.map(([label]) => label.length));
+  const lines = rows.map(([label, gpu]) => gpuLine(label.padEnd(width), gpu));
 
   const cpuUtil = formatPct(host.cpu);
   const cpuBar = formatBar(host.cpu, 12);
   const hostMem = `${formatSize(host.memUsed)} / ${formatSize(host.memTotal)}`;
-
-  return (
-    `{cyan-fg}GPU{/} ${gpuUtil.padStart(4)} ${gpuBar}  {cyan-fg}VRAM{/} ${gpuMem}\n` +
-    `{cyan-fg}CPU{/} ${cpuUtil.padStart(4)} ${cpuBar}  {cyan-fg}RAM {/} ${hostMem}`
+  const swap = host.swapTotal
+    ? `  {cyan-fg}SWAP{/} ${formatSize(host.swapUsed)} / ${formatSize(host.swapTotal)}`
+    : '';
+  const warning = swapWarning(snapshot, thresholds.swapBytesPerSec);
+  lines.push(
+    `{cyan-fg}${'CPU'.padEnd(width)}{/} ${cpuUtil.padStart(4)} ${cpuBar}  {cyan-fg}RAM {/} ${hostMem}` +
+    swap +
+    (warning ? `  {red-fg}{bold}${warning}{/}` : '')
   );
+
+  // Engine rows are a stale sweep until the process table reads again.
+  if (snapshot.procsError) {
+    lines.push(`{red-fg}{bold}PROCESS TABLE UNREADABLE{/} {red-fg}${escapeTags(snapshot.procsError)}{/}`);
+  }
+
+  return [...lines, ...alertLines(alerts)];
+}
+
+export function formatHeader(snapshot, thresholds = DEFAULT_THRESHOLDS) {
+  return headerLines(snapshot, [], thresholds).join('\n');
 }
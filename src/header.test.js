@@ -1,16 +1,18 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { formatHeader, headerTitle } from './header.js';
+import { formatHeader, headerTitle, headerLines, aggregateGpus, swapWarning } from './header.js';
+import { alertThresholds } from './alerts.js';
 
 const snapshot = {
-  gpu: {
+  gpus: [{
+    index: 0,
     name: 'Apple M5',
     cores: 10,
     util: 14,
     allocBytes: 5_000_000_000,
     totalBytes: 25_769_803_776
-  },
+  }],
   host: {
     cpu: 23.4,
     cores: 10,
@@ -25,7 +27,12 @@ test('names the device and its core count', () => {
 });
 
 test('falls back to a generic title when GPU info is unavailable', () => {
-  assert.equal(headerTitle({ ...snapshot, gpu: null }), 'topollama');
+  assert.equal(headerTitle({ ...snapshot, gpus: [] }), 'topollama');
+});
+
+test('names the device alone when its core count is unknown', () => {
+  const gpu = { ...snapshot.gpus[0], name: 'NVIDIA GeForce RTX 4090', cores: null };
+  assert.equal(headerTitle({ ...snapshot, gpus: [gpu] }), 'NVIDIA GeForce RTX 4090');
 });
 
 // formatHeader emits blessed markup; assert on the text a reader actually sees.
@@ -44,8 +51,103 @@ test('shows CPU utilization and used memory', () => {
 });
 
 test('renders dashes for GPU figures when the accelerator is unreadable', () => {
-  const line = plain(formatHeader({ ...snapshot, gpu: null }));
+  const line = plain(formatHeader({ ...snapshot, gpus: [] }));
   assert.match(line, /GPU\s+-/);
   // CPU must still report even when the GPU read failed
   assert.match(line, /CPU\s+23%/);
 });
+
+const dual = {
+  ...snapshot,
+  gpus: [
+    { index: 0, name: 'NVIDIA GeForce RTX 4090', cores: null, util: 80,
+      allocBytes: 20_000_000_000, totalBytes: 24_000_000_000 },
+    { index: 1, name: 'NVIDIA GeForce RTX 4090', cores: null, util: 40,
+      allocBytes: 4_000_000_000, totalBytes: 24_000_000_000 }
+  ]
+};
+
+test('counts identical discrete cards in the title', () => {
+  assert.equal(headerTitle(dual), '2× NVIDIA GeForce RTX 4090');
+});
+
+test('prints a line per device, a combined line, then the CPU line', () => {
+  const lines = headerLines(dual).map(plain);
+  assert.equal(lines.length, 4);
+  assert.match(lines[0], /^GPU0\s+80%.*20\.0 GB \/ 24\.0 GB/);
+  assert.match(lines[1], /^GPU1\s+40%.*4\.0 GB \/ 24\.0 GB/);
+  assert.match(lines[2], /^ALL\s+60%.*24\.0 GB \/ 48\.0 GB/);
+  assert.match(lines[3], /^CPU\s+23%/);
+});
+
+test('averages utilization and sums memory across devices', () => {
+  assert.deepEqual(aggregateGpus(dual.gpus), {
+    util: 60,
+    allocBytes: 24_000_000_000,
+    totalBytes: 48_000_000_000
+  });
+});
+
+test('averages only the devices that report utilization', () => {
+  const gpus = [{ util: 30, allocBytes: null, totalBytes: null }, { util: null, allocBytes: null, totalBytes: null }];
+  assert.deepEqual(aggregateGpus(gpus), { util: 30, allocBytes: null, totalBytes: null });
+});
+
+const GB = 1_000_000_000;
+const withModel = (host) => ({
+  ...snapshot,
+  host: { ...snapshot.host, ...host },
+  ollama: {
+    host: 'http://127.0.0.1:11434',
+    loaded: [{ name: 'llama3.1:70b', sizeBytes: 40 * GB, vramBytes: 20 * GB }]
+  },
+  engines: []
+});
+
+test('shows swap usage when the machine has swap', () => {
+  const line = plain(formatHeader(withModel({ swapTotal: 8 * GB, swapUsed: 2 * GB, swapRate: 0 })));
+  assert.match(line, /SWAP 2\.0 GB \/ 8\.0 GB/);
+});
+
+test('flags a loaded model while swap is growing', () => {
+  const snap = withModel({ swapTotal: 8 * GB, swapUsed: 2 * GB, swapRate: 50_000_000 });
+  assert.equal(swapWarning(snap), 'SWAPPING 50.0 MB/s · llama3.1:70b');
+  assert.match(plain(formatHeader(snap)), /SWAPPING/);
+});
+
+test('flags critical memory pressure even when swap is flat', () => {
+  const snap = withModel({ swapRate: 0, pressure: { source: 'psi', level: 'critical' } });
+  assert.equal(swapWarning(snap), 'MEMORY PRESSURE · llama3.1:70b');
+});
+
+test('does not flag swap growth when no model is loaded', () => {
+  const snap = { ...withModel({ swapRate: 50_000_000 }), ollama: { host: 'http://127.0.0.1:11434', loaded: [] } };
+  assert.equal(swapWarning(snap), null);
+});
+
+test('ignores a slow trickle of pages into swap', () => {
+  assert.equal(swapWarning(withModel({ swapRate: 4096 })), null);
+});
+
+test('warns about swap at the swap-growing alert\'s configured threshold', () => {
+  const snap = withModel({ swapTotal: 8 * GB, swapUsed: 2 * GB, swapRate: 5_000_000 });
+  const thresholds = alertThresholds({ 'swap-growing': { threshold: 10_000_000 } });
+  assert.equal(swapWarning(snap, thresholds.swapBytesPerSec), null);
+  assert.doesNotMatch(plain(formatHeader(snap, thresholds)), /SWAPPING/);
+  assert.match(plain(formatHeader(snap, alertThresholds({ 'swap-growing': { threshold: 4096 } }))), /SWAPPING 5\.0 MB\/s/);
+});
+
+test('puts active alerts below the CPU line and summarizes the overflow', () => {
+  const alert = (message) => ({ rule: 'model-spilled', key: message, message });
+  assert.deepEqual(headerLines(snapshot, [alert('qwen3:8b spilled to CPU: 80% on GPU')]).map(plain).slice(2), [
+    ' ALERT  qwen3:8b spilled to CPU: 80% on GPU'
+  ]);
+
+  const lines = headerLines(snapshot, ['a', 'b', 'c'].map(alert)).map(plain);
+  assert.deepEqual(lines.slice(2), [' ALERT  a', ' ALERT  +2 more']);
+});
+
+test('says when the process table could not be read', () => {
+  const lines = headerLines({ ...snapshot, procsError: 'EMFILE: too many open files, open \'/proc/812/stat\'' }).map(plain);
+  assert.equal(lines[2], 'PROCESS TABLE UNREADABLE EMFILE: too many open files, open \'/proc/812/stat\'');
+});
@@ -0,0 +1,58 @@
+import { createCollector } from './collect/index.js';
+import { collectEvery } from './loop.js';
+import { createAlertRules, createAlertMonitor, createAlertSinks } from './alerts.js';
+
+// Headless output: the collector's snapshot is already UI-independent, so this
+// mode just serializes it, one JSON document per line (NDJSON).
+
+// Bumped whenever a field is renamed, removed or changes meaning. New fields
+// are added without a bump, so consumers should ignore keys they don't know.
+export const SCHEMA_VERSION = 2;
+
+export function formatRecord(snapshot) {
+  return JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...snapshot });
+}
+
+const TICK_MS = 1000;
+
+// CPU and per-process figures are deltas against the previous tick, so a lone
+// first sample reports 0% everywhere. --once takes a baseline first and prints
+// the second sample instead.
+const ONCE_SETTLE_MS = 1000;
+
+export async function runJson({
+  once = false,
+  collect = createCollector(),
+  out = process.stdout,
+  tickMs = TICK_MS,
+  settleMs = ONCE_SETTLE_MS,
+  alerts = {},
+  alertRules = {}
+} = {}) {
+  // `topollama --json | head -1` closes the pipe under us; that is a normal way
+  // to stop, not an error.
+  out.on?.('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+  });
+
+  if (once) {
+    await collect();
+    await new Promise((resolve) => setTimeout(resolve, settleMs));
+    out.write(`${formatRecord(await collect())}\n`);
+    return;
+  }
+
+  // Alerts leave the stream itself alone; they go to whichever sinks were
+  // asked for, so a headless box can still page someone.
+  const monitor = createAlertMonitor({ rules: createAlertRules(alertRules) });
+  const sinks = createAlertSinks({
+    ...alerts,
+    onError: (error) => console.error(`topollama: alert: ${error.message.split('\n')[0]}`)
+  });
+
+  collectEvery(collect, tickMs, (snapshot) => {
+    out.write(`${formatRecord(snapshot)}\n`);
+    sinks.deliver(monitor.evaluate(snapshot));
+  });
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatRecord, runJson, SCHEMA_VERSION } from './headless.js';
+
+const snapshot = { t: 1, gpus: [], host: { cpu: 5 }, ollama: { up: false }, engines: [] };
+
+const sink = () => {
+  const lines = [];
+  return { lines, write: (chunk) => lines.push(chunk) };
+};
+
+test('prefixes each snapshot with the schema version', () => {
+  const record = JSON.parse(formatRecord(snapshot));
+  assert.equal(record.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(record.host, { cpu: 5 });
+});
+
+test('writes one line per record', () => {
+  assert.equal(formatRecord(snapshot).includes('\n'), false);
+});
+
+test('prints the second of two samples with --once', async () => {
+  let n = 0;
+  const collect = async () => ({ ...snapshot, t: ++n });
+  const out = sink();
+
+  await runJson({ once: true, collect, out, settleMs: 0 });
+
+  assert.equal(out.lines.length, 1);
+  assert.equal(JSON.parse(out.lines[0]).t, 2);
+  assert.equal(out.lines[0].endsWith('\n'), true);
+});
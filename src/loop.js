@@ -0,0 +1,35 @@
+// Drives a collector on a fixed tick for the modes that have no UI to do it.
+// Ticks are chained rather than run from setInterval so a slow collect() never
+// overlaps the next one and snapshots always arrive in order.
+export function collectEvery(collect, tickMs, onSnapshot, onError = reportError) {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    const startedAt = Date.now();
+    try {
+      const snapshot = await collect();
+      if (!stopped) await onSnapshot(snapshot);
+    } catch (error) {
+      // One bad tick must not end a long-running exporter.
+      onError(error);
+    }
+    if (stopped) return;
+    timer = setTimeout(tick, Math.max(0, tickMs - (Date.now() - startedAt)));
+  };
+
+  const first = tick();
+
+  return {
+    // Resolves once the first snapshot has been handled.
+    first,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+function reportError(error) {
+  console.error(`topollama: ${error.message.split('\n')[0]}`);
+}
@@ -0,0 +1,312 @@
+import http from 'http';
+import https from 'https';
+
+// Metering reverse proxy. Ollama launches its llama-server runner without
+// --metrics, so generation speed can't be scraped from it; instead the proxy
+// reads the eval_count/eval_duration Ollama already puts in the final chunk
+// of every generate and chat response. Traffic passes through untouched and
+// unbuffered, so a streaming client sees each token as soon as it would
+// without the proxy.
+
+// Ollama's native endpoints report durations; the OpenAI-compatible ones only
+// report token counts, so their timings are measured at the proxy.
+const METERED = new Set(['/api/generate', '/api/chat', '/v1/chat/completions', '/v1/completions']);
+
+// Requests kept for the Requests panel. Every snapshot carries them, so the
+// list stays short enough not to bloat recordings.
+const RECENT_LIMIT = 20;
+
+const nsToMs = (ns) => (typeof ns === 'number' ? ns / 1e6 : null);
+const perSecond = (count, ms) => (count > 0 && ms > 0 ? Math.round((count / (ms / 1000)) * 10) / 10 : null);
+
+// Per-model request counts and token rates, plus the most recent requests.
+// Totals accumulate for the life of the proxy; tokensPerSec,
+// promptTokensPerSec and ttftMs describe the latest completed request, which
+// is what a live gauge should show.
+export function createMeter({ recentLimit = RECENT_LIMIT } = {}) {
+  const byModel = new Map();
+  const recent = [];
+
+  const statsFor = (model) => {
+    if (!byModel.has(model)) {
+      byModel.set(model, {
+        model,
+        requests: 0,
+        active: 0,
+        errors: 0,
+        cancelled: 0,
+        promptTokens: 0,
+        promptMs: 0,
+        evalTokens: 0,
+        evalMs: 0,
+        tokensPerSec: null,
+        promptTokensPerSec: null,
+        ttftMs: null
+      });
+    }
+    return byModel.get(model);
+  };
+
+  return {
+    started(model) {
+      statsFor(model).active += 1;
+    },
+
+    // `outcome` is 'ok', 'error' (upstream refused or failed) or 'cancelled'
+    // (the client hung up first). `usage` holds whatever token counts and
+    // durations the reply carried; any of them may be null.
+    finished(model, { outcome, usage, ttftMs = null, t, endpoint, status, latencyMs }) {
+      const stats = statsFor(model);
+      stats.active -= 1;
+      stats.requests += 1;
+      if (outcome === 'error') stats.errors += 1;
+      if (outcome === 'cancelled') stats.cancelled += 1;
+
+      recent.unshift({
+        t,
+        endpoint,
+        model,
+        status,
+        outcome,
+        promptTokens: usage.promptTokens,
+        evalTokens: usage.evalTokens,
+        ttftMs: ttftMs === null ? null : Math.round(ttftMs),
+        latencyMs: Math.round(latencyMs)
+      });
+      recent.length = Math.min(recent.length, recentLimit);
+
+      if (usage.evalTokens === null) return;
+      stats.promptTokens += usage.promptTokens ?? 0;
+      stats.promptMs += usage.promptMs ?? 0;
+      stats.evalTokens += usage.evalTokens;
+      stats.evalMs += usage.evalMs ?? 0;
+      stats.tokensPerSec = perSecond(usage.evalTokens, usage.evalMs) ?? stats.tokensPerSec;
+      stats.promptTokensPerSec = perSecond(usage.promptTokens, usage.promptMs) ?? stats.promptTokensPerSec;
+      stats.ttftMs = ttftMs ?? stats.ttftMs;
+    },
+
+    report() {
+      return {
+        models: [...byModel.values()].map((stats) => ({
+          ...stats,
+          promptMs: Math.round(stats.promptMs),
+          evalMs: Math.round(stats.evalMs),
+          ttftMs: stats.ttftMs === null ? null : Math.round(stats.ttftMs)
+        })),
+        recent: recent.map((entry) => ({ ...entry }))
+      };
+    }
+  };
+}
+
+// Watches one metered response go by. Ollama streams NDJSON and the OpenAI
+// endpoints stream server-sent events ("data: {...}"); either way a
+// non-streaming reply is a single JSON object, possibly without a trailing
+// newline, which the final flush picks up.
+function tapResponse(startedAt, now) {
+  const decoder = new TextDecoder();
+  let pending = '';
+  let final = null;
+  let openaiUsage = null;
+  let events = false;
+  let firstTokenAt = null;
+  let failed = false;
+
+  const line = (text) => {
+    let body = text.trim();
+    if (body.startsWith('data:')) {
+      events = true;
+      body = body.slice(5).trim();
+    }
+    if (!body || body === '[DONE]') return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(body);
+    } catch {
+      return;
+    }
+    if (chunk.error) {
+      failed = true;
+      return;
+    }
+    if (chunk.done) final = chunk;
+    if (chunk.usage) openaiUsage = chunk.usage;
+    // An OpenAI stream can end with a usage-only chunk (no choices) when the
+    // client asked for stream_options.include_usage; anything else is output.
+    if (!chunk.done && chunk.choices?.length !== 0 && firstTokenAt === null) firstTokenAt = now();
+  };
+
+  return {
+    data(buffer) {
+      pending += decoder.decode(buffer, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(line);
+    },
+
+    end() {
+      line(pending + decoder.decode());
+      pending = '';
+
+      if (final) {
+        return {
+          failed,
+          usage: {
+            promptTokens: final.prompt_eval_count ?? null,
+            promptMs: nsToMs(final.prompt_eval_duration),
+            evalTokens: final.eval_count ?? null,
+            evalMs: nsToMs(final.eval_duration)
+          },
+          // A non-streaming reply has no first chunk to time, so fall back
+          // to Ollama's own account of the time before generation: loading
+          // the model plus evaluating the prompt.
+          ttftMs:
+            firstTokenAt !== null
+              ? firstTokenAt - startedAt
+              : (nsToMs(final.load_duration) ?? 0) + (nsToMs(final.prompt_eval_duration) ?? 0)
+        };
+      }
+
+      // OpenAI-style usage has counts only. When the reply streamed, the
+      // generation time is the span its tokens took to come through; a
+      // single JSON reply gives nothing to time.
+      const streamed = events && firstTokenAt !== null;
+      return {
+        failed,
+        usage: {
+          promptTokens: openaiUsage?.prompt_tokens ?? null,
+          promptMs: null,
+          evalTokens: openaiUsage?.completion_tokens ?? null,
+          evalMs: streamed ? now() - firstTokenAt : null
+        },
+        ttftMs: streamed ? firstTokenAt - startedAt : null
+      };
+    }
+  };
+}
+
+function modelOf(body) {
+  try {
+    return JSON.parse(body.toString('utf8')).model || '(unknown)';
+  } catch {
+    return '(unknown)';
+  }
+}
+
+export function createProxy({
+  upstream,
+  meter = createMeter(),
+  now = () => performance.now(),
+  clock = () => Date.now()
+}) {
+  const target = new URL(upstream);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  // Sends the request on and streams the reply straight back. `tap`, when
+  // given, sees every response chunk as it passes and hears how it ended.
+  function forward(req, res, body, tap) {
+    let settled = false;
+    const settle = (outcome, status) => {
+      if (settled) return;
+      settled = true;
+      tap?.done(outcome, status);
+    };
+
+    const upstreamReq = transport.request(
+      {
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        method: req.method,
+        path: req.url,
+        headers: { ...req.headers, host: target.host }
+      },
+      (upstreamRes) => {
+        res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+        if (tap) upstreamRes.on('data', tap.data);
+        upstreamRes.on('end', () =>
+          settle(upstreamRes.statusCode < 400 ? 'ok' : 'error', upstreamRes.statusCode)
+        );
+        upstreamRes.pipe(res);
+      }
+    );
+
+    upstreamReq.on('error', (error) => {
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `topollama proxy: ${upstream} unreachable: ${error.message}` }));
+      }
+      settle('error', res.statusCode);
+    });
+
+    // A client that hangs up mid-generation should stop the generation too;
+    // Ollama cancels a request when its connection closes. Settling first
+    // keeps the resulting socket error from counting as an upstream failure.
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      settle('cancelled', res.statusCode);
+      upstreamReq.destroy();
+    });
+
+    if (body) upstreamReq.end(body);
+    else req.pipe(upstreamReq);
+  }
+
+  return http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    if (req.method !== 'POST' || !METERED.has(path)) {
+      forward(req, res, null, null);
+      return;
+    }
+
+    // The model name is needed before the reply starts, to count the request
+    // as active, so a metered request body is read in full first. These are
+    // prompts, not uploads, so that costs nothing noticeable.
+    const t = clock();
+    const startedAt = now();
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const model = modelOf(body);
+      const watch = tapResponse(startedAt, now);
+      meter.started(model);
+
+      forward(req, res, body, {
+        data: (chunk) => watch.data(chunk),
+        done: (outcome, status) => {
+          const { failed, usage, ttftMs } = watch.end();
+          meter.finished(model, {
+            outcome: outcome === 'ok' && failed ? 'error' : outcome,
+            usage,
+            ttftMs,
+            t,
+            endpoint: path,
+            status,
+            latencyMs: now() - startedAt
+          });
+        }
+      });
+    });
+  });
+}
+
+// Starts the proxy and hands back what the collector reads from it.
+export async function startProxy({ listen, upstream }) {
+  const meter = createMeter();
+  const server = createProxy({ upstream, meter });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(listen.port, listen.host, resolve);
+  });
+  const { port } = server.address();
+  const address = `${listen.host ?? ''}:${port}`;
+
+  return {
+    report: () => ({ listen: address, upstream, ...meter.report() }),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
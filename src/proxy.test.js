@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { createMeter, createProxy } from './proxy.js';
+
+// The proxy runs against a stub upstream that answers like Ollama: NDJSON for
+// streaming replies, one object for stream:false.
+
+const FINAL = {
+  model: 'qwen3:0.6b',
+  done: true,
+  load_duration: 5_000_000,
+  prompt_eval_count: 26,
+  prompt_eval_duration: 130_000_000,
+  eval_count: 90,
+  eval_duration: 1_500_000_000
+};
+
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function harness(handler, ticks) {
+  const upstreamServer = http.createServer(handler);
+  const upstream = await listen(upstreamServer);
+  const meter = createMeter();
+  const now = ticks ? () => ticks.shift() : undefined;
+  const proxyServer = createProxy({ upstream, meter, now, clock: () => 1_786_500_000_000 });
+  const proxy = await listen(proxyServer);
+  return {
+    proxy,
+    meter,
+    close() {
+      proxyServer.closeAllConnections();
+      proxyServer.close();
+      upstreamServer.closeAllConnections();
+      upstreamServer.close();
+    }
+  };
+}
+
+const post = (url, body) =>
+  fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test('passes a streamed reply through unchanged and meters its final chunk', async () => {
+  const lines = [
+    '{"model":"qwen3:0.6b","response":"Hel","done":false}',
+    '{"model":"qwen3:0.6b","response":"lo","done":false}',
+    JSON.stringify(FINAL)
+  ];
+  const h = await harness((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.write(`${lines[0]}\n${lines[1].slice(0, 10)}`);
+    res.end(`${lines[1].slice(10)}\n${lines[2]}\n`);
+  }, [1000, 1240, 2600]);
+
+  try {
+    const reply = await post(`${h.proxy}/api/generate`, { model: 'qwen3:0.6b', prompt: 'hi' });
+    assert.equal(reply.headers.get('content-type'), 'application/x-ndjson');
+    assert.equal(await reply.text(), `${lines.join('\n')}\n`);
+
+    const [stats] = h.meter.report().models;
+    assert.equal(stats.model, 'qwen3:0.6b');
+    assert.equal(stats.requests, 1);
+    assert.equal(stats.active, 0);
+    assert.equal(stats.tokensPerSec, 60);
+    assert.equal(stats.promptTokensPerSec, 200);
+    assert.equal(stats.ttftMs, 240);
+    assert.equal(stats.evalTokens, 90);
+    assert.deepEqual(h.meter.report().recent, [{
+      t: 1_786_500_000_000,
+      endpoint: '/api/generate',
+      model: 'qwen3:0.6b',
+      status: 200,
+      outcome: 'ok',
+      promptTokens: 26,
+      evalTokens: 90,
+      ttftMs: 240,
+      latencyMs: 1600
+    }]);
+  } finally {
+    h.close();
+  }
+});
+
+test('takes time to first token from Ollama\'s own durations when not streaming', async () => {
+  const h = await harness((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ...FINAL, message: { role: 'assistant', content: 'Hello' } }));
+  });
+
+  try {
+    await (await post(`${h.proxy}/api/chat`, { model: 'qwen3:0.6b', stream: false, messages: [] })).text();
+    assert.equal(h.meter.report().models[0].ttftMs, 135);
+  } finally {
+    h.close();
+  }
+});
+
+test('meters a streamed OpenAI-compatible reply from its usage chunk', async () => {
+  const h = await harness((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+    res.write('data: {"choices":[{"delta":{"content":"lo"}}]}\n\n');
+    res.end('data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":40}}\n\ndata: [DONE]\n\n');
+  }, [0, 300, 2300, 2400]);
+
+  try {
+    await (await post(`${h.proxy}/v1/chat/completions`, { model: 'qwen3:0.6b', stream: true })).text();
+    const [stats] = h.meter.report().models;
+    // 40 tokens streamed between the first chunk (300ms) and the end (2300ms).
+    assert.equal(stats.tokensPerSec, 20);
+    assert.equal(stats.ttftMs, 300);
+    assert.equal(h.meter.report().recent[0].endpoint, '/v1/chat/completions');
+    assert.equal(h.meter.report().recent[0].promptTokens, 12);
+  } finally {
+    h.close();
+  }
+});
+
+test('keeps only the most recent requests, newest first', () => {
+  const meter = createMeter({ recentLimit: 2 });
+  const usage = { promptTokens: 1, promptMs: null, evalTokens: 1, evalMs: null };
+  for (const t of [1, 2, 3]) {
+    meter.started('m');
+    meter.finished('m', { outcome: 'ok', usage, t, endpoint: '/api/chat', status: 200, latencyMs: 5 });
+  }
+  assert.deepEqual(meter.report().recent.map((r) => r.t), [3, 2]);
+  assert.equal(meter.report().models[0].requests, 3);
+});
+
+test('forwards other endpoints untouched without metering them', async () => {
+  let seen = null;
+  const h = await harness((req, res) => {
+    seen = `${req.method} ${req.url}`;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"models":[]}');
+  });
+
+  try {
+    const reply = await fetch(`${h.proxy}/api/tags?verbose=1`);
+    assert.deepEqual(await reply.json(), { models: [] });
+    assert.equal(seen, 'GET /api/tags?verbose=1');
+    assert.deepEqual(h.meter.report(), { models: [], recent: [] });
+  } finally {
+    h.close();
+  }
+});
+
+test('counts a refused request as an error for its model', async () => {
+  const h = await harness((req, res) => {
+    req.resume();
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end('{"error":"model \\"nope\\" not found, try pulling it first"}');
+  });
+
+  try {
+    const reply = await post(`${h.proxy}/api/generate`, { model: 'nope', prompt: 'hi' });
+    assert.equal(reply.status, 404);
+    await reply.text();
+    assert.deepEqual(
+      h.meter.report().models.map(({ model, requests, errors }) => ({ model, requests, errors })),
+      [{ model: 'nope', requests: 1, errors: 1 }]
+    );
+  } finally {
+    h.close();
+  }
+});
+
+test('answers 502 when the upstream is unreachable', async () => {
+  const meter = createMeter();
+  const proxyServer = createProxy({ upstream: 'http://127.0.0.1:9', meter });
+  const proxy = await listen(proxyServer);
+
+  try {
+    const reply = await post(`${proxy}/api/generate`, { model: 'qwen3:0.6b', prompt: 'hi' });
+    assert.equal(reply.status, 502);
+    assert.match((await reply.json()).error, /unreachable/);
+    assert.equal(meter.report().models[0].errors, 1);
+    assert.equal(meter.report().recent[0].status, 502);
+  } finally {
+    proxyServer.closeAllConnections();
+    proxyServer.close();
+  }
+});
+
+test('drops the upstream request when the client hangs up mid-stream', async () => {
+  let upstreamClosed;
+  const closed = new Promise((resolve) => (upstreamClosed = resolve));
+  const h = await harness((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.write('{"model":"qwen3:0.6b","response":"Hel","done":false}\n');
+    res.on('close', upstreamClosed);
+  });
+
+  try {
+    const controller = new AbortController();
+    const reply = await fetch(`${h.proxy}/api/generate`, {
+      method: 'POST',
+      body: JSON.stringify({ model: 'qwen3:0.6b', prompt: 'hi' }),
+      signal: controller.signal
+    });
+    const reader = reply.body.getReader();
+    await reader.read();
+    controller.abort();
+    await closed;
+
+    const [stats] = h.meter.report().models;
+    assert.deepEqual([stats.requests, stats.cancelled, stats.errors, stats.active], [1, 1, 0, 0]);
+  } finally {
+    h.close();
+  }
+});
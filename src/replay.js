@@ -0,0 +1,128 @@
+import { appendFileSync, readFileSync } from 'fs';
+
+import { formatRecord, SCHEMA_VERSION } from './headless.js';
+
+// Session recording and replay. A recording is exactly the --json stream, one
+// snapshot per line, so anything that reads one can read the other.
+
+// Wraps a collector so every snapshot it produces is also appended to `file`.
+// The append is synchronous: one short line a second costs nothing, and the
+// TUI quits through process.exit(), which would drop a stream's pending writes.
+export function recordTo(collect, file) {
+  async function recordingCollect() {
+    const snapshot = await collect();
+    appendFileSync(file, `${formatRecord(snapshot)}\n`);
+    return snapshot;
+  }
+  recordingCollect.refreshDisk = collect.refreshDisk;
+  recordingCollect.engineHistory = collect.engineHistory;
+  return recordingCollect;
+}
+
+export function parseRecording(text, source = 'recording') {
+  const frames = [];
+
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`${source}:${i + 1}: not a JSON snapshot`);
+    }
+    // Version 1 reported llama.cpp's TOK/S as a lifetime average, which
+    // would replay as though it were the rate between polls.
+    if (record.schemaVersion === 1) {
+      throw new Error(
+        `${source}:${i + 1}: recorded with schema version 1, whose llama.cpp TOK/S figures are lifetime averages; record the session again`
+      );
+    }
+    if (record.schemaVersion !== SCHEMA_VERSION) {
+      throw new Error(
+        `${source}:${i + 1}: schema version ${record.schemaVersion}, this topollama reads ${SCHEMA_VERSION}`
+      );
+    }
+
+    const { schemaVersion, ...snapshot } = record;
+    frames.push(snapshot);
+  });
+
+  if (!frames.length) throw new Error(`${source}: no snapshots recorded`);
+  return frames;
+}
+
+export function readRecording(file) {
+  return parseRecording(readFileSync(file, 'utf8'), file);
+}
+
+export const SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, 64];
+
+// A gap longer than this means the recorder was suspended (laptop lid, SIGSTOP);
+// replaying it faithfully would just look like a hang.
+const MAX_GAP_MS = 5_000;
+
+// Plays frames back on their recorded cadence, scaled by the current speed.
+// Stepping only goes forward: the history charts are built incrementally, the
+// same as live, so a step back would need them rebuilt from scratch.
+// `setTimer`/`clearTimer` default to the global timers; tests pass a fake
+// clock.
+export function createPlayer(frames, { setTimer = setTimeout, clearTimer = clearTimeout } = {}) {
+  let index = 0;
+  let paused = false;
+  let speed = SPEEDS.indexOf(1);
+  let timer = null;
+  let onFrame = () => {};
+
+  const atEnd = () => index >= frames.length - 1;
+
+  const schedule = () => {
+    clearTimer(timer);
+    if (paused || atEnd()) return;
+    const gap = Math.min(Math.max(frames[index + 1].t - frames[index].t, 0), MAX_GAP_MS);
+    timer = setTimer(() => {
+      index += 1;
+      onFrame(frames[index]);
+      schedule();
+    }, gap / SPEEDS[speed]);
+  };
+
+  return {
+    start(callback) {
+      onFrame = callback;
+      onFrame(frames[index]);
+      schedule();
+    },
+    togglePause() {
+      paused = !paused;
+      schedule();
+    },
+    step() {
+      paused = true;
+      clearTimer(timer);
+      if (atEnd()) return;
+      index += 1;
+      onFrame(frames[index]);
+    },
+    faster() {
+      speed = Math.min(speed + 1, SPEEDS.length - 1);
+      schedule();
+    },
+    slower() {
+      speed = Math.max(speed - 1, 0);
+      schedule();
+    },
+    stop() {
+      clearTimer(timer);
+    },
+    status() {
+      return {
+        frame: index + 1,
+        frames: frames.length,
+        paused,
+        ended: atEnd(),
+        speed: SPEEDS[speed]
+      };
+    }
+  };
+}
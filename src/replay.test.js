@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { recordTo, parseRecording, readRecording, createPlayer } from './replay.js';
+
+const session = fileURLToPath(new URL('./__fixtures__/session.ndjson', import.meta.url));
+
+const frames = (...ts) => ts.map((t) => ({ t }));
+
+// A manual clock for the player: tick() runs every timer that falls due, in
+// order, the way the real ones would over that much time.
+function fakeTimers() {
+  let now = 0;
+  let nextId = 0;
+  const pending = new Map();
+  return {
+    setTimer(fn, ms) {
+      pending.set(++nextId, { at: now + ms, fn });
+      return nextId;
+    },
+    clearTimer(id) {
+      pending.delete(id);
+    },
+    tick(ms) {
+      const end = now + ms;
+      for (;;) {
+        const [id, due] = [...pending].filter(([, timer]) => timer.at <= end).sort(([, a], [, b]) => a.at - b.at)[0] ?? [];
+        if (!due) break;
+        pending.delete(id);
+        now = due.at;
+        due.fn();
+      }
+      now = end;
+    }
+  };
+}
+
+test('reads every snapshot from a recording', () => {
+  const recorded = readRecording(session);
+  assert.equal(recorded.length, 3);
+  assert.equal(recorded[2].ollama.loaded[0].gpuPct, 60);
+});
+
+test('strips the schema version from replayed frames', () => {
+  assert.equal('schemaVersion' in readRecording(session)[0], false);
+});
+
+test('names the line of a corrupt recording', () => {
+  assert.throws(
+    () => parseRecording('{"schemaVersion":2,"t":1}\n{oops', 'night.ndjson'),
+    /night\.ndjson:2: not a JSON snapshot/
+  );
+});
+
+test('refuses a recording made with another schema version', () => {
+  assert.throws(() => parseRecording('{"schemaVersion":99,"t":1}'), /schema version 99/);
+});
+
+test('refuses a version 1 recording, whose TOK/S meant something else', () => {
+  assert.throws(
+    () => parseRecording('{"schemaVersion":1,"t":1}', 'old.ndjson'),
+    /old\.ndjson:1: recorded with schema version 1, whose llama\.cpp TOK\/S figures are lifetime averages/
+  );
+});
+
+test('refuses an empty recording', () => {
+  assert.throws(() => parseRecording('\n'), /no snapshots recorded/);
+});
+
+test('appends each collected snapshot to the recording file', async () => {
+  const file = path.join(mkdtempSync(path.join(tmpdir(), 'topollama-')), 'rec.ndjson');
+  let t = 0;
+  const collect = recordTo(async () => ({ t: ++t }), file);
+
+  assert.deepEqual(await collect(), { t: 1 });
+  await collect();
+
+  assert.deepEqual(parseRecording(readFileSync(file, 'utf8')), [{ t: 1 }, { t: 2 }]);
+});
+
+test('plays frames back on their recorded cadence', () => {
+  const timers = fakeTimers();
+  const seen = [];
+  const player = createPlayer(frames(0, 1000, 3000), timers);
+
+  player.start((frame) => seen.push(frame.t));
+  assert.deepEqual(seen, [0]);
+
+  timers.tick(1000);
+  assert.deepEqual(seen, [0, 1000]);
+  timers.tick(1999);
+  assert.deepEqual(seen, [0, 1000]);
+  timers.tick(1);
+  assert.deepEqual(seen, [0, 1000, 3000]);
+  assert.equal(player.status().ended, true);
+});
+
+test('holds the current frame while paused', () => {
+  const timers = fakeTimers();
+  const seen = [];
+  const player = createPlayer(frames(0, 1000), timers);
+
+  player.start((frame) => seen.push(frame.t));
+  player.togglePause();
+  timers.tick(5000);
+
+  assert.deepEqual(seen, [0]);
+  assert.equal(player.status().paused, true);
+});
+
+test('steps one frame at a time and stays paused', () => {
+  const timers = fakeTimers();
+  const seen = [];
+  const player = createPlayer(frames(0, 1000, 2000), timers);
+
+  player.start((frame) => seen.push(frame.t));
+  player.step();
+  timers.tick(5000);
+
+  assert.deepEqual(seen, [0, 1000]);
+  assert.equal(player.status().frame, 2);
+});
+
+test('shortens the wait between frames at higher speed', () => {
+  const timers = fakeTimers();
+  const seen = [];
+  const player = createPlayer(frames(0, 1000), timers);
+
+  player.start((frame) => seen.push(frame.t));
+  player.faster();
+  assert.equal(player.status().speed, 2);
+
+  timers.tick(500);
+  assert.deepEqual(seen, [0, 1000]);
+});
+
+test('caps a long recording gap instead of appearing to hang', () => {
+  const timers = fakeTimers();
+  const seen = [];
+  createPlayer(frames(0, 3_600_000), timers).start((frame) => seen.push(frame.t));
+
+  timers.tick(5000);
+  assert.deepEqual(seen, [0, 3_600_000]);
+});
@@ -0,0 +1,1502 @@
+import blessed from 'blessed';
+import contrib from 'blessed-contrib';
+import moment from 'moment';
+import { createCollector } from './collect/index.js';
+import { formatSize, formatPct, formatDuration, formatBar, formatSpan, formatSparkline } from './format.js';
+import { headerLines, headerTitle, aggregateGpus } from './header.js';
+import { alertThresholds, createAlertRules, createAlertMonitor, createAlertSinks } from './alerts.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { createEngineHistory, engineKey, engineTokensPerSec } from './collect/history.js';
+import { checkLaunch } from './collect/engines/launch.js';
+import {
+  localOllama,
+  keepAliveRemaining,
+  unloadModel,
+  loadModel,
+  pullModel,
+  createPullTracker,
+  deleteModel,
+  copyModel,
+  reclaimedBytes,
+  createShowCache
+} from './collect/engines/ollama.js';
+
+// Widgets are created when the TUI starts rather than at import time, so
+// loading this module never takes over the terminal on its own.
+let screen, grid, log, headerBox, runningModelsList, enginesList, requestsList, cpuChart, memoryChart;
+let prompt, notice, picker, textInput, pullBox, detailBox, engineBox, engineCharts, slotsBox, launchBox;
+
+// Samples drawn in the Engines table's trend column, newest on the right.
+const SPARK_WIDTH = 6;
+
+// Every column each table can show, in the order rows are built. The config
+// picks which ones appear and in what order, by id (see COLUMNS in config.js).
+const TABLE_COLUMNS = {
+  models: [
+    { id: 'model', header: 'Model', width: 24, align: 'left' },
+    { id: 'id', header: 'ID', width: 10, align: 'left' },
+    { id: 'disk', header: 'DISK', width: 9, align: 'right' },
+    { id: 'loaded', header: 'LOADED', width: 9, align: 'right' },
+    { id: 'vram', header: 'VRAM', width: 9, align: 'right' },
+    { id: 'on-gpu', header: 'ON GPU', width: 10, align: 'right' },
+    { id: 'load', header: 'LOAD', width: 10, align: 'right' },
+    { id: 'unloads-in', header: 'UNLOADS IN', width: 10, align: 'right' },
+    { id: 'last-load', header: 'LAST LOAD', width: 9, align: 'right' },
+    { id: 'resident', header: 'RESIDENT', width: 8, align: 'right' },
+    { id: 'evict', header: 'EVICT', width: 5, align: 'right' }
+  ],
+  engines: [
+    { id: 'engine', header: 'Engine', width: 12, align: 'left' },
+    { id: 'pid', header: 'PID', width: 7, align: 'right' },
+    { id: 'port', header: 'Port', width: 5, align: 'right' },
+    { id: 'model', header: 'Model', width: 11, align: 'left' },
+    { id: 'cpu', header: 'CPU%', width: 6, align: 'right' },
+    { id: 'trend', header: 'TREND', width: SPARK_WIDTH, align: 'left' },
+    { id: 'ram', header: 'RAM', width: 8, align: 'right' },
+    { id: 'tok/s', header: 'TOK/S', width: 6, align: 'right' },
+    { id: 'slots', header: 'SLOTS', width: 5, align: 'right' },
+    { id: 'kv', header: 'KV%', width: 4, align: 'right' }
+  ],
+  requests: [
+    { id: 'time', header: 'TIME', width: 8, align: 'left' },
+    { id: 'api', header: 'API', width: 8, align: 'left' },
+    { id: 'model', header: 'Model', width: 10, align: 'left' },
+    { id: 'in', header: 'IN', width: 4, align: 'right' },
+    { id: 'out', header: 'OUT', width: 4, align: 'right' },
+    { id: 'ttft', header: 'TTFT', width: 5, align: 'right' },
+    { id: 'total', header: 'TOTAL', width: 5, align: 'right' },
+    { id: 'http', header: 'HTTP', width: 4, align: 'right' }
+  ]
+};
+
+// The columns to show for a table, each with its position in a full row.
+export function shownColumns(table, ids) {
+  return ids.map((id) => {
+    const index = TABLE_COLUMNS[table].findIndex((column) => column.id === id);
+    return { ...TABLE_COLUMNS[table][index], index };
+  });
+}
+
+// Columns a table gives up, first to last, when the terminal is too narrow
+// for everything configured: a clipped row is worse than a missing column.
+const NARROW_DROPS = {
+  models: ['id', 'last-load', 'resident', 'evict', 'load', 'unloads-in', 'disk'],
+  engines: ['trend', 'port', 'kv', 'pid', 'slots'],
+  requests: ['http', 'api', 'in', 'time']
+};
+
+// The columns that fit in `width` cells, each taking its width plus the
+// spacing after it. Only columns named in `drops` are ever hidden.
+export function fitColumns(columns, width, spacing, drops = []) {
+  let shown = columns;
+  const used = () => shown.reduce((sum, column) => sum + column.width + spacing, 0);
+  for (const id of drops) {
+    if (used() <= width) break;
+    shown = shown.filter((column) => column.id !== id);
+  }
+  return shown;
+}
+
+// Fills a table from full rows, keeping only the configured columns that fit
+// its current width. An empty table gets a placeholder in whichever column
+// comes first.
+function setTableRows(widget, table, rows, placeholder) {
+  // contrib.table draws its rows 3 cells narrower than the box, and pads
+  // each cell to one less than its width plus the spacing.
+  const columns = fitColumns(
+    shownColumns(table, settings.columns[table]),
+    widget.width - 3,
+    widget.options.columnSpacing - 1,
+    NARROW_DROPS[table]
+  );
+  widget.options.columnWidth = columns.map((column) => column.width);
+  const data = rows.map((row) => columns.map((column) => row[column.index]));
+  if (data.length === 0) data.push([placeholder, ...columns.slice(1).map(() => '')]);
+  widget.setData({
+    headers: columns.map((column) => column.header),
+    data,
+    align: columns.map((column) => column.align)
+  });
+}
+
+const columnWidths = (table) => shownColumns(table, settings.columns[table]).map((column) => column.width);
+
+function buildLayout() {
+  // Create a screen object
+  screen = blessed.screen({
+    smartCSR: true,
+    title: 'topollama - Ollama Process Monitor'
+  });
+
+  // Create a grid layout
+  // The grid draws every cell's border itself, in its own color, whatever
+  // border the cell's widget asks for.
+  grid = new contrib.grid({
+    rows: 12,
+    cols: 12,
+    screen: screen,
+    color: settings.colors.border
+  });
+
+  // Create a hidden log widget for internal logging (not visible in UI)
+  log = blessed.log({
+    parent: screen,
+    hidden: true, // Make it completely hidden
+    width: 0,
+    height: 0
+  });
+
+  // Running Models Table
+  // Machine-wide summary: correct regardless of which engines are running,
+  // because unified memory puts every allocation in the same accelerator.
+  headerBox = grid.set(0, 0, 2, 12, blessed.box, {
+    tags: true,
+    label: 'topollama',
+    padding: { left: 1 }
+  });
+
+  runningModelsList = grid.set(2, 0, 3, 12, contrib.table, {
+    keys: true,
+    fg: 'white',
+    selectedFg: 'white',
+    selectedBg: settings.colors.selected,
+    interactive: true,
+    label: 'Ollama Models',
+    columnSpacing: 2,
+    columnWidth: columnWidths('models')
+  });
+
+  // Inference engines discovered from the process table. Tab moves the
+  // cursor here to pick an engine for its history charts. Sharing the row
+  // with Requests leaves it too narrow for every column on most terminals,
+  // so setTableRows hides the least useful ones.
+  enginesList = grid.set(5, 0, 3, 7, contrib.table, {
+    keys: true,
+    fg: 'white',
+    selectedFg: 'white',
+    selectedBg: settings.colors.selected,
+    interactive: true,
+    label: 'Engines',
+    columnSpacing: 1,
+    columnWidth: columnWidths('engines')
+  });
+
+  // Recent inference calls seen by the metering proxy, newest first.
+  requestsList = grid.set(5, 7, 3, 5, contrib.table, {
+    keys: false,
+    fg: 'white',
+    interactive: false,
+    label: 'Requests',
+    columnSpacing: 1,
+    columnWidth: columnWidths('requests')
+  });
+
+  // CPU & GPU History Chart
+  cpuChart = grid.set(8, 0, 4, 6, contrib.line, { // Increased height from 4 to 5
+    style: { text: 'green', baseline: 'black' },
+    xLabelPadding: 3,
+    xPadding: 5,
+    showLegend: true,
+    legend: { width: 10 },
+    label: 'CPU & GPU Utilization (%)',
+    minY: 0,
+    maxY: 100
+  });
+
+  // Memory History Chart
+  memoryChart = grid.set(8, 6, 4, 6, contrib.line, { // Increased height from 4 to 5
+    style: { line: 'yellow', text: 'green', baseline: 'black' },
+    xLabelPadding: 3,
+    xPadding: 5,
+    showLegend: true,
+    legend: { width: 12 },
+    label: 'Memory Usage History (MB)'
+  });
+
+  // Confirmation dialog and transient status line for actions on the models
+  // table. Both float above the grid and stay hidden until used.
+  prompt = blessed.question({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '50%',
+    height: 7,
+    tags: true,
+    keys: true,
+    hidden: true,
+    label: ' Confirm ',
+    border: { type: 'line', fg: 'yellow' }
+  });
+
+  picker = blessed.list({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: 32,
+    height: 'shrink',
+    keys: true,
+    hidden: true,
+    tags: true,
+    border: { type: 'line', fg: 'yellow' },
+    style: { selected: { bg: 'blue' } }
+  });
+
+  textInput = blessed.prompt({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '50%',
+    height: 'shrink',
+    tags: true,
+    keys: true,
+    hidden: true,
+    border: { type: 'line', fg: 'yellow' }
+  });
+
+  pullBox = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '80%',
+    height: 'shrink',
+    tags: true,
+    hidden: true,
+    padding: { left: 1, right: 1 },
+    border: { type: 'line', fg: 'yellow' }
+  });
+
+  detailBox = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '80%',
+    height: '80%',
+    tags: true,
+    keys: true,
+    vi: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: { ch: ' ', style: { bg: 'cyan' } },
+    hidden: true,
+    padding: { left: 1, right: 1 },
+    border: { type: 'line', fg: 'cyan' }
+  });
+
+  // History charts for one engine, opened with Enter on the Engines table:
+  // a two-by-two grid inside a floating box.
+  engineBox = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '90%',
+    height: '80%',
+    tags: true,
+    keys: true,
+    hidden: true,
+    border: { type: 'line', fg: 'cyan' }
+  });
+  // A chart sets up its canvas on 'attach', which a `parent` option fires
+  // before the chart is listening; appending afterwards fires it in time.
+  const chartColors = [settings.colors.cpu, settings.colors.memoryUsed, ...settings.colors.gpus];
+  engineCharts = ENGINE_CHARTS.map((chart, i) => {
+    const line = contrib.line({
+      top: i < 2 ? 0 : '50%',
+      left: i % 2 ? '50%' : 0,
+      width: '50%',
+      height: '50%',
+      label: chart.label,
+      minY: 0,
+      xLabelPadding: 3,
+      xPadding: 5,
+      style: { line: chartColors[i % chartColors.length], text: 'green', baseline: 'black' },
+      border: { type: 'line', fg: settings.colors.border }
+    });
+    engineBox.append(line);
+    return line;
+  });
+
+  // Every slot of one llama.cpp server, opened with s on the Engines table.
+  slotsBox = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '90%',
+    height: '80%',
+    tags: true,
+    keys: true,
+    vi: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: { ch: ' ', style: { bg: 'cyan' } },
+    hidden: true,
+    padding: { left: 1, right: 1 },
+    border: { type: 'line', fg: 'cyan' }
+  });
+
+  // One llama.cpp engine's launch flags, opened with i on the Engines table.
+  launchBox = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '70%',
+    height: '80%',
+    tags: true,
+    keys: true,
+    vi: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: { ch: ' ', style: { bg: 'cyan' } },
+    hidden: true,
+    padding: { left: 1, right: 1 },
+    border: { type: 'line', fg: 'cyan' }
+  });
+
+  notice = blessed.message({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '50%',
+    height: 'shrink',
+    tags: true,
+    hidden: true,
+    border: { type: 'line', fg: 'cyan' }
+  });
+}
+
+
+// --- DATA STRUCTURES ---
+let currentModelData = [];
+
+// Loads in flight and the last measured load time, keyed by host and model.
+const loading = new Set();
+const loadTimes = new Map();
+
+// One chart series covering the configured history, labelled back from now
+// at the configured tick until real samples replace it.
+function historySeries(title, color) {
+  const { historyLength, tickMs } = settings;
+  return {
+    title,
+    x: Array(historyLength).fill('').map((_, i) => moment().subtract((historyLength - 1 - i) * tickMs, 'ms').format('HH:mm:ss')),
+    y: Array(historyLength).fill(0),
+    style: { line: color }
+  };
+}
+
+// Created when the TUI starts, once the history length is known.
+let cpuHistoryData, usedMemoryHistoryData, freeMemoryHistoryData;
+
+// GPU series are created on first sight of a device, since the device count is
+// only known once the backend has answered. A lone device keeps the plain
+// "GPU" series; several get one series each plus a combined one.
+const gpuHistoryByKey = new Map();
+
+function gpuHistoryFor(key, title, color) {
+  if (!gpuHistoryByKey.has(key)) gpuHistoryByKey.set(key, { ...historySeries(title, color), x: [...cpuHistoryData.x] });
+  return gpuHistoryByKey.get(key);
+}
+
+// --- HELPER FUNCTIONS ---
+
+
+let collect;
+// Set when driving the UI from a recording instead of the live collector.
+let player = null;
+// Settled settings (see config.js): tick, history length, columns and colors.
+let settings = DEFAULT_CONFIG;
+// Every snapshot is checked against the alert rules. A replay shows the
+// banner as it was; only a live session rings the bell and calls the sinks.
+let alertMonitor = null;
+let alertSinks = null;
+// Per-engine samples: the collector's own when live, rebuilt from the
+// recording's frames when replaying.
+let engineHistory = null;
+let ownEngineHistory = false;
+
+const MB = 1024 * 1024;
+
+// The device list only appears when the GPU backend reports per-process
+// allocations; otherwise the column is the plain placement share.
+function placementLabel(live) {
+  if (live.gpuPct === null) return '-';
+  if (!live.devices || live.devices.length === 0) return `${live.gpuPct}%`;
+  return `${live.gpuPct}% @${live.devices.join(',')}`;
+}
+
+const actionKey = (host, model) => `${host} ${model}`;
+
+function loadTimeLabel(timing) {
+  if (!timing) return '-';
+  return timing.loadMs === null
+    ? formatDuration(timing.wallMs)
+    : `${formatDuration(timing.wallMs)}/${formatDuration(timing.loadMs)}`;
+}
+
+// Residency columns from the collector's load/unload history. A model that was
+// already resident when topollama started has no known load time, and its
+// residency is a lower bound.
+function historyCells(history) {
+  if (!history) return { lastLoad: '-', resident: '-', evictions: '-' };
+  return {
+    lastLoad: history.sinceStart ? 'earlier' : moment(history.loadedAt).format('HH:mm:ss'),
+    resident: history.residentMs === null ? '-' : `${history.sinceStart ? '>' : ''}${formatSpan(history.residentMs)}`,
+    evictions: String(history.evictions)
+  };
+}
+
+// Rows for one host's models. Each row keeps the host and model name it came
+// from so actions on the selected row know where to send their request.
+function hostModelRows(state, { loading, loadTimes }, now) {
+  const loadedByName = new Map(state.loaded.map((m) => [m.name, m]));
+  const historyByName = new Map((state.residency ?? []).map((h) => [h.name, h]));
+  const isLoading = (name) => loading.has(actionKey(state.host, name));
+  const loadTime = (name) => loadTimeLabel(loadTimes.get(actionKey(state.host, name)));
+  const unloadsIn = (live) => (live ? formatSpan(keepAliveRemaining(live.expiresAt, now)) : '-');
+
+  // Show every model on disk, with live figures for the ones actually loaded.
+  const rows = state.disk.map((model) => {
+    const live = loadedByName.get(model.name);
+    loadedByName.delete(model.name);
+    return {
+      host: state.host,
+      model: model.name,
+      name: model.name.substring(0, 24),
+      id: model.id,
+      disk: formatSize(model.diskBytes),
+      loaded: live ? formatSize(live.sizeBytes) : isLoading(model.name) ? 'loading…' : '-',
+      vram: live ? formatSize(live.vramBytes) : '-',
+      onGpu: live ? placementLabel(live) : '-',
+      load: loadTime(model.name),
+      unloadsIn: unloadsIn(live),
+      ...historyCells(historyByName.get(model.name)),
+      isLoaded: Boolean(live)
+    };
+  });
+
+  // A model can be loaded without appearing on disk (e.g. pulled by digest).
+  for (const live of loadedByName.values()) {
+    rows.push({
+      host: state.host,
+      model: live.name,
+      name: live.name.substring(0, 24),
+      id: live.id,
+      disk: '-',
+      loaded: formatSize(live.sizeBytes),
+      vram: formatSize(live.vramBytes),
+      onGpu: placementLabel(live),
+      load: loadTime(live.name),
+      unloadsIn: unloadsIn(live),
+      ...historyCells(historyByName.get(live.name)),
+      isLoaded: true
+    });
+  }
+
+  return rows;
+}
+
+const hostLabel = (host) => host.replace(/^https?:\/\//, '');
+
+// Everything the UI needs arrives in one snapshot per tick. Nothing below this
+// point spawns a process or makes a request. The second argument is UI-side
+// state from actions: loads in flight and the load times measured so far.
+export function buildModelRows(snapshot, actions = { loading: new Set(), loadTimes: new Map() }) {
+  const hosts = snapshot.ollamaHosts ?? [snapshot.ollama];
+  if (hosts.length === 1) return hostModelRows(hosts[0], actions, snapshot.t);
+
+  // With several hosts, each host's models sit under a heading row carrying
+  // that host's state; heading rows have no model, so actions skip them.
+  return hosts.flatMap((state) => {
+    const status = state.up ? `${state.loaded.length} loaded` : 'DOWN';
+    return [
+      {
+        host: state.host,
+        model: null,
+        name: `▾ ${hostLabel(state.host)}`.substring(0, 24),
+        id: status,
+        disk: '',
+        loaded: '',
+        vram: '',
+        onGpu: '',
+        load: '',
+        unloadsIn: '',
+        lastLoad: '',
+        resident: '',
+        evictions: '',
+        isLoaded: false
+      },
+      ...hostModelRows(state, actions, snapshot.t).map((row) => ({ ...row, name: `  ${row.name}`.substring(0, 24) }))
+    ];
+  });
+}
+
+// --- UPDATE FUNCTIONS ---
+
+function updateModelsList() {
+  const data = currentModelData.map(model => [
+    model.name,
+    model.id,
+    model.disk,
+    model.loaded,
+    model.vram,
+    model.onGpu,
+    model.load,
+    model.unloadsIn,
+    model.lastLoad,
+    model.resident,
+    model.evictions
+  ]);
+
+
+  // LOADED and VRAM are byte counts from /api/ps; ON GPU is the share of the
+  // weights resident in VRAM — placement, not utilization. LOAD is the last
+  // cold start measured from this session, as wall clock / Ollama's own figure.
+  // UNLOADS IN counts down to expires_at; LAST LOAD, RESIDENT and EVICT come
+  // from the load/unload events seen since topollama started.
+  setTableRows(runningModelsList, 'models', data, '(no models)');
+}
+
+// Ollama names its runner by blob path, so show the loaded model name instead
+// when we have one; a bare sha256 blob tells the reader nothing.
+function engineModelLabel(engine, snapshot) {
+  if (engine.kind === 'ollama') {
+    const loaded = localOllama(snapshot)?.loaded[0];
+    if (loaded) return loaded.name;
+  }
+  if (!engine.model) return '-';
+  const base = engine.model.substring(engine.model.lastIndexOf('/') + 1);
+  return base.startsWith('sha256-') ? `blob ${base.slice(7, 19)}` : base;
+}
+
+// Throughput nobody reports (Ollama without the metering proxy) is '-'
+// rather than a misleading zero.
+function throughputLabel(engine, snapshot) {
+  const tps = engineTokensPerSec(engine, snapshot);
+  return typeof tps === 'number' ? tps.toFixed(1) : '-';
+}
+
+// CPU over the last few samples. Busy engines use several cores, so the scale
+// stretches past 100% to the window's peak rather than flattening the top.
+function cpuTrend(samples) {
+  const cpu = samples.slice(-SPARK_WIDTH).map((sample) => sample.cpu);
+  const peak = Math.max(100, ...cpu.filter((value) => typeof value === 'number'));
+  return formatSparkline(cpu, peak).padStart(SPARK_WIDTH);
+}
+
+// vLLM reports running requests but no limit on them.
+function slotsLabel(engine) {
+  const slots = engine.telemetry?.slots;
+  if (!slots) return '-';
+  return slots.total === null ? String(slots.processing) : `${slots.processing}/${slots.total}`;
+}
+
+// Share of the KV cache in use, for servers that report it.
+function kvCacheLabel(engine) {
+  const usage = engine.telemetry?.metrics?.kvCacheUsage;
+  return typeof usage === 'number' ? formatPct(usage * 100) : '-';
+}
+
+// One row per engine, with the key its history is kept under.
+export function buildEngineRows(snapshot, history) {
+  return snapshot.engines.map((engine) => ({
+    key: engineKey(engine),
+    label: engine.endpoint ?? `${engine.kind} ${engine.pid}`,
+    cells: [
+      engine.kind,
+      engine.pid === null ? '-' : String(engine.pid),
+      engine.port === null ? '-' : String(engine.port),
+      engineModelLabel(engine, snapshot).substring(0, 11),
+      engine.cpu === null ? '-' : `${engine.cpu}%`,
+      cpuTrend(history.samples(engineKey(engine))),
+      formatSize(engine.rssBytes),
+      throughputLabel(engine, snapshot),
+      slotsLabel(engine),
+      kvCacheLabel(engine)
+    ]
+  }));
+}
+
+let currentEngineRows = [];
+
+// The drill-down charts, one per sampled figure.
+const ENGINE_CHARTS = [
+  { field: 'cpu', label: 'CPU (%)', scale: 1 },
+  { field: 'rssBytes', label: 'RSS (MB)', scale: 1 / MB },
+  { field: 'tokensPerSec', label: 'Tokens/s', scale: 1 },
+  { field: 'slotsBusy', label: 'Slots busy', scale: 1 }
+];
+
+// Line-chart data for each of ENGINE_CHARTS. A figure the engine never
+// reported (tok/s without --metrics, slots for llama-cli) is flagged so its
+// flat line isn't read as a real zero.
+export function engineChartSeries(samples) {
+  const x = samples.map((sample) => moment(sample.t).format('HH:mm:ss'));
+  return ENGINE_CHARTS.map((chart) => {
+    const values = samples.map((sample) => sample[chart.field]);
+    const reported = values.some((value) => typeof value === 'number');
+    return {
+      label: reported ? chart.label : `${chart.label} — not reported`,
+      x,
+      y: values.map((value) => (typeof value === 'number' ? Math.round(value * chart.scale * 10) / 10 : 0))
+    };
+  });
+}
+
+// The engine whose charts are open, by history key.
+let chartedEngine = null;
+
+function updateEngineCharts() {
+  if (engineBox.hidden) return;
+  const samples = engineHistory.samples(chartedEngine.key);
+  // An engine that has exited keeps its last charts on screen.
+  if (!samples.length) {
+    engineBox.setLabel(` ${chartedEngine.label} — exited `);
+    return;
+  }
+  engineBox.setLabel(` ${chartedEngine.label} — last ${samples.length} samples `);
+  engineChartSeries(samples).forEach((series, i) => {
+    engineCharts[i].setLabel(series.label);
+    engineCharts[i].setData([{ title: series.label, x: series.x, y: series.y }]);
+  });
+}
+
+function showEngineCharts() {
+  const row = currentEngineRows[enginesList.rows.selected];
+  if (!row) return;
+  chartedEngine = row;
+  openDialog();
+  screen.saveFocus();
+  engineBox.show();
+  engineBox.focus();
+  updateEngineCharts();
+  screen.render();
+}
+
+function closeEngineCharts() {
+  if (engineBox.hidden) return;
+  engineBox.hide();
+  screen.restoreFocus();
+  closeDialog();
+  screen.render();
+}
+
+const SLOT_BAR_WIDTH = 10;
+
+const tokens = (n) => (n === null ? '-' : String(n));
+const fixed = (n) => (typeof n === 'number' ? n.toFixed(2) : '-');
+
+function slotLine(slot) {
+  const fill = slot.nPast !== null && slot.nCtx ? (slot.nPast / slot.nCtx) * 100 : null;
+  const prompt = slot.promptTokens === null ? '-' : `${tokens(slot.promptProcessed)}/${slot.promptTokens}`;
+  const spec = slot.speculative ? `on${slot.draftMax === null ? '' : ` ≤${slot.draftMax}`}` : 'off';
+  return [
+    String(slot.id).padStart(3),
+    tokens(slot.task).padStart(6),
+    slot.processing ? '{green-fg}busy {/}' : 'idle ',
+    formatBar(fill, SLOT_BAR_WIDTH),
+    `${tokens(slot.nPast)}/${tokens(slot.nCtx)}`.padStart(11),
+    formatPct(fill).padStart(4),
+    tokens(slot.decoded).padStart(7),
+    prompt.padStart(11),
+    String(slot.promptCached ?? '-').padStart(6),
+    spec.padEnd(6),
+    fixed(slot.temperature).padStart(5),
+    fixed(slot.topP).padStart(5),
+    (slot.nPredict === -1 ? '∞' : tokens(slot.nPredict)).padStart(6)
+  ].join('  ');
+}
+
+// The slots pane's text. Context fill is what a slot holds in the KV cache
+// (n_past of n_ctx), so a client whose conversation keeps growing stands out
+// even between its requests.
+export function slotsText(engine) {
+  if (!engine) return '{gray-fg}This engine has exited.{/}';
+  const slots = engine.telemetry?.slotDetails;
+  if (!slots?.length) {
+    return engine.kind === 'vllm'
+      ? '{gray-fg}vLLM schedules requests without slots; SLOTS shows how many are running.{/}'
+      : '{gray-fg}No per-slot data: the server was started with --no-slots, or has no /slots endpoint.{/}';
+  }
+  const header = [
+    ' ID', '  TASK', 'STATE', 'CONTEXT'.padEnd(SLOT_BAR_WIDTH), 'N_PAST/N_CTX', 'FILL', 'DECODED',
+    '     PROMPT', 'CACHED', 'SPEC  ', ' TEMP', 'TOP_P', 'N_PRED'
+  ].join('  ');
+  return [`{bold}${header}{/bold}`, ...slots.map(slotLine)].join('\n');
+}
+
+// The engine whose slots are open, by history key.
+let slotsEngine = null;
+
+function updateSlotsPane() {
+  if (slotsBox.hidden || !lastSnapshot) return;
+  const engine = lastSnapshot.engines.find((e) => engineKey(e) === slotsEngine.key);
+  const busy = engine?.telemetry?.slots?.processing;
+  slotsBox.setLabel(` Slots — ${slotsEngine.label}${typeof busy === 'number' ? ` — ${busy} busy` : ''} `);
+  slotsBox.setContent(slotsText(engine));
+}
+
+function showSlots() {
+  const row = currentEngineRows[enginesList.rows.selected];
+  if (!row) return;
+  slotsEngine = row;
+  openDialog();
+  screen.saveFocus();
+  slotsBox.scrollTo(0);
+  slotsBox.show();
+  slotsBox.focus();
+  updateSlotsPane();
+  screen.render();
+}
+
+function closeSlots() {
+  if (slotsBox.hidden) return;
+  slotsBox.hide();
+  screen.restoreFocus();
+  closeDialog();
+  screen.render();
+}
+
+const onOff = (value) => (value ? 'on' : 'off');
+
+// The launch pane's text: the flags as the server was started, then what
+// checkLaunch found when comparing them with /props and /slots. A flag that
+// wasn't passed shows as the server's default.
+export function launchText(engine, gpus = []) {
+  if (!engine) return '{gray-fg}This engine has exited.{/}';
+  const launch = engine.launch;
+  if (engine.endpoint) return '{gray-fg}This server\'s process isn\'t on this machine, so its flags can\'t be read.{/}';
+  if (!launch) {
+    return `{gray-fg}${blessed.escape(engine.kind)} isn't started with llama.cpp's flags, so there is no launch config to show.{/}`;
+  }
+
+  const fact = (label, value) =>
+    `{bold}${label.padEnd(14)}{/bold}${value === null || value === '' ? '{gray-fg}default{/}' : blessed.escape(String(value))}`;
+  const rope = [
+    launch.ropeScaling,
+    launch.ropeScale === null ? null : `scale ${launch.ropeScale}`,
+    launch.ropeFreqBase === null ? null : `freq base ${launch.ropeFreqBase}`,
+    launch.ropeFreqScale === null ? null : `freq scale ${launch.ropeFreqScale}`
+  ].filter((part) => part !== null).join(', ');
+  const cache = launch.cacheTypeK === null && launch.cacheTypeV === null
+    ? null
+    : `K ${launch.cacheTypeK ?? 'f16'}, V ${launch.cacheTypeV ?? 'f16'}`;
+  const address = launch.host === null && launch.port === null
+    ? null
+    : `${launch.host ?? '127.0.0.1'}:${launch.port ?? engine.port ?? '-'}`;
+
+  const findings = checkLaunch(engine, gpus);
+  const checks = findings.length
+    ? findings.map((finding) =>
+      finding.level === 'warn'
+        ? `{yellow-fg}! ${blessed.escape(finding.message)}{/}`
+        : `{gray-fg}· ${blessed.escape(finding.message)}{/}`)
+    : ['{green-fg}The server is running as launched.{/}'];
+
+  return [
+    fact('Model', launch.model),
+    fact('Listen', address),
+    fact('Context', launch.ctxSize),
+    fact('GPU layers', launch.gpuLayers),
+    fact('Threads', launch.threads),
+    fact('Parallel', launch.parallel),
+    fact('Flash attn', launch.flashAttn),
+    fact('KV cache', cache),
+    fact('mlock', onOff(launch.mlock)),
+    fact('RoPE', rope),
+    fact('LoRA', launch.lora.join(', ') || 'none'),
+    fact('Projector', launch.mmproj ?? 'none'),
+    fact('API key', launch.apiKey ? 'required' : 'none'),
+    '',
+    '{bold}Checks{/bold}',
+    ...checks
+  ].join('\n');
+}
+
+// The engine whose launch config is open, by history key.
+let launchEngine = null;
+
+function updateLaunchPane() {
+  if (launchBox.hidden || !lastSnapshot) return;
+  const engine = lastSnapshot.engines.find((e) => engineKey(e) === launchEngine.key);
+  launchBox.setLabel(` Launch — ${launchEngine.label} `);
+  launchBox.setContent(launchText(engine, lastSnapshot.gpus));
+}
+
+function showLaunch() {
+  const row = currentEngineRows[enginesList.rows.selected];
+  if (!row) return;
+  launchEngine = row;
+  openDialog();
+  screen.saveFocus();
+  launchBox.scrollTo(0);
+  launchBox.show();
+  launchBox.focus();
+  updateLaunchPane();
+  screen.render();
+}
+
+function closeLaunch() {
+  if (launchBox.hidden) return;
+  launchBox.hide();
+  screen.restoreFocus();
+  closeDialog();
+  screen.render();
+}
+
+// Tab moves the cursor between the models and engines tables.
+function switchTable() {
+  const next = screen.focused === enginesList.rows ? runningModelsList : enginesList;
+  next.focus();
+  screen.render();
+}
+
+function updateEnginesList(snapshot) {
+  currentEngineRows = buildEngineRows(snapshot, engineHistory);
+  setTableRows(enginesList, 'engines', currentEngineRows.map((row) => row.cells), '(no engines)');
+}
+
+const API_LABELS = {
+  '/api/generate': 'generate',
+  '/api/chat': 'chat',
+  '/v1/chat/completions': 'v1/chat',
+  '/v1/completions': 'v1/cmpl'
+};
+
+// Token counts get four characters; long agent prompts run to tens of thousands.
+const tokenCount = (n) => (n === null ? '-' : n < 10_000 ? String(n) : `${Math.round(n / 1000)}k`);
+
+// One row per request the proxy saw. A request the client abandoned has no
+// meaningful status, since the upstream may still have been answering 200.
+export function buildRequestRows(snapshot) {
+  return (snapshot.proxy?.recent ?? []).map((request) => [
+    moment(request.t).format('HH:mm:ss'),
+    API_LABELS[request.endpoint] ?? request.endpoint,
+    request.model.substring(0, 10),
+    tokenCount(request.promptTokens),
+    tokenCount(request.evalTokens),
+    formatDuration(request.ttftMs),
+    formatDuration(request.latencyMs),
+    request.outcome === 'cancelled' ? 'cxl' : String(request.status)
+  ]);
+}
+
+function updateRequestsList(snapshot) {
+  setTableRows(requestsList, 'requests', buildRequestRows(snapshot), '(none)');
+  requestsList.setLabel(
+    snapshot.proxy ? `Requests via ${snapshot.proxy.listen}` : 'Requests — run topollama proxy to capture'
+  );
+}
+
+function updateHistoryCharts(snapshot) {
+  try {
+    const totalCpuUsage = snapshot.host.cpu ?? 0;
+    const totalMemoryUsage = Math.round(snapshot.host.memUsed / MB);
+    const freeMemory = Math.round(snapshot.host.memFree / MB);
+    const gpus = snapshot.gpus;
+    const gpuColors = settings.colors.gpus;
+
+    // The snapshot's own timestamp, so a replayed session shows when it was
+    // recorded rather than when it is being watched.
+    const currentTime = moment(snapshot.t).format('HH:mm:ss');
+
+    cpuHistoryData.y.shift();
+    cpuHistoryData.y.push(totalCpuUsage);
+    cpuHistoryData.x.shift();
+    cpuHistoryData.x.push(currentTime);
+
+    const gpuSeries = gpus.length > 1
+      ? [
+        ...gpus.map((gpu, i) => [gpuHistoryFor(gpu.index, `GPU${gpu.index}`, gpuColors[i % gpuColors.length]), gpu.util]),
+        [gpuHistoryFor('all', 'GPU ALL', 'white'), aggregateGpus(gpus).util]
+      ]
+      : [[gpuHistoryFor(gpus[0]?.index ?? 0, 'GPU', gpuColors[0]), gpus[0]?.util]];
+
+    for (const [history, util] of gpuSeries) {
+      history.y.shift();
+      history.y.push(util ?? 0);
+      history.x.shift();
+      history.x.push(currentTime);
+    }
+
+    cpuChart.setData([cpuHistoryData, ...gpuSeries.map(([history]) => history)]);
+
+    freeMemoryHistoryData.y.shift();
+    freeMemoryHistoryData.y.push(freeMemory);
+    freeMemoryHistoryData.x.shift();
+    freeMemoryHistoryData.x.push(currentTime);
+
+    usedMemoryHistoryData.y.shift();
+    usedMemoryHistoryData.y.push(totalMemoryUsage);
+    usedMemoryHistoryData.x.shift();
+    usedMemoryHistoryData.x.push(currentTime);
+
+    memoryChart.setData([freeMemoryHistoryData, usedMemoryHistoryData]);
+
+  } catch (error) {
+    console.error(`Chart update err: ${error.message.split('\n')[0]}`);
+  }
+}
+
+// The grid gives the header two rows, which fits one GPU line and the CPU line.
+// Extra device lines borrow their height from the top of the models table.
+const HEADER_ROWS_PCT = (100 / 12) * 2;
+const MODELS_ROWS_PCT = (100 / 12) * 3;
+let headerExtraLines = 0;
+
+function fitHeader(lineCount) {
+  const extra = Math.max(0, lineCount - 2);
+  if (extra === headerExtraLines) return;
+  headerExtraLines = extra;
+  headerBox.height = `${HEADER_ROWS_PCT}%+${extra}`;
+  runningModelsList.top = `${HEADER_ROWS_PCT}%+${extra}`;
+  runningModelsList.height = `${MODELS_ROWS_PCT}%-${extra}`;
+}
+
+// One collect() per tick feeds every widget.
+function modelsLabel(snapshot) {
+  const hosts = snapshot.ollamaHosts ?? [snapshot.ollama];
+  if (hosts.length === 1) {
+    return hosts[0].up
+      ? `Ollama Models — ${hosts[0].loaded.length} loaded`
+      : `Ollama unreachable (${hosts[0].host ?? 'not polled yet'})`;
+  }
+  const up = hosts.filter((state) => state.up);
+  const loaded = up.reduce((n, state) => n + state.loaded.length, 0);
+  return `Ollama Models — ${up.length}/${hosts.length} hosts up, ${loaded} loaded`;
+}
+
+let lastSnapshot = null;
+
+function updateHeaderLabel() {
+  const title = headerTitle(lastSnapshot);
+  headerBox.setLabel(player ? `${title} — ${replayLabel(lastSnapshot)}` : title);
+}
+
+function render(snapshot) {
+  try {
+    currentModelData = buildModelRows(snapshot, { loading, loadTimes });
+    updateModelsList();
+    if (ownEngineHistory) engineHistory.record(snapshot);
+    updateEnginesList(snapshot);
+    updateEngineCharts();
+    updateRequestsList(snapshot);
+    updateHistoryCharts(snapshot);
+
+    const alerts = alertMonitor.evaluate(snapshot);
+    if (!player) {
+      if (alerts.fired.length) screen.program.bell();
+      alertSinks.deliver(alerts);
+    }
+
+    const lines = headerLines(snapshot, alerts.active, alertThresholds(settings.alerts));
+    fitHeader(lines.length);
+    headerBox.setContent(lines.join('\n'));
+    lastSnapshot = snapshot;
+    updateHeaderLabel();
+    // /slots is polled on the HTTP tier; the pane shows the latest poll.
+    updateSlotsPane();
+    updateLaunchPane();
+
+    enginesList.setLabel(`Engines — ${snapshot.engines.length} running`);
+
+    runningModelsList.setLabel(modelsLabel(snapshot));
+
+    screen.render();
+  } catch (error) {
+    console.error(`UpdateAll Err: ${error.message.split('\n')[0]}`);
+    screen.render();
+  }
+}
+
+async function updateAll() {
+  try {
+    render(await collect());
+  } catch (error) {
+    console.error(`UpdateAll Err: ${error.message.split('\n')[0]}`);
+    screen.render();
+  }
+}
+
+// --- REPLAY ---
+
+function replayLabel(snapshot) {
+  const { frame, frames, paused, ended, speed } = player.status();
+  const state = ended ? 'END' : paused ? 'PAUSED' : `${speed}x`;
+  return `REPLAY ${moment(snapshot.t).format('YYYY-MM-DD HH:mm:ss')} ${frame}/${frames} ${state}`;
+}
+
+function bindReplayKeys() {
+  // Pausing or changing speed does not produce a frame, so the label that shows
+  // the player state is repainted here.
+  const control = (action) => () => {
+    action();
+    updateHeaderLabel();
+    screen.render();
+  };
+  screen.key(['space', 'p'], control(() => player.togglePause()));
+  screen.key(['.', 'right'], control(() => player.step()));
+  screen.key(['+', '='], control(() => player.faster()));
+  screen.key(['-'], control(() => player.slower()));
+}
+
+// --- ACTIONS ---
+// Actions on the selected models-table row. They only send the request; the
+// table reflects the result on the next HTTP tick like any other change.
+
+// Counts dialogs that own the keyboard, so their Escape/q doesn't also quit.
+// A count rather than a flag, because one dialog can open as another closes.
+let openDialogs = 0;
+
+function openDialog() {
+  openDialogs += 1;
+}
+
+// The dialog's keypress fires before the screen's key handlers, so it is only
+// counted closed after the same keypress has finished dispatching.
+function closeDialog() {
+  setImmediate(() => {
+    openDialogs -= 1;
+  });
+}
+
+// The model being pulled. Its popup owns Escape the same way a dialog does.
+let pulling = null;
+
+const dialogOpen = () => openDialogs > 0 || pulling !== null;
+
+function confirm(text) {
+  openDialog();
+  return new Promise((resolve) => {
+    prompt.ask(text, (err, ok) => {
+      closeDialog();
+      resolve(Boolean(ok));
+    });
+    screen.render();
+  });
+}
+
+// Resolves with the chosen item's index, or null if the picker was dismissed.
+function choose(title, items) {
+  openDialog();
+  return new Promise((resolve) => {
+    const done = (index) => {
+      picker.removeListener('select', onSelect);
+      picker.removeListener('cancel', onCancel);
+      picker.hide();
+      screen.restoreFocus();
+      closeDialog();
+      screen.render();
+      resolve(index);
+    };
+    const onSelect = (item, index) => done(index);
+    const onCancel = () => done(null);
+
+    picker.setLabel(` ${title} `);
+    picker.setItems(items);
+    picker.select(0);
+    picker.on('select', onSelect);
+    picker.on('cancel', onCancel);
+    screen.saveFocus();
+    picker.show();
+    picker.focus();
+    screen.render();
+  });
+}
+
+function showNotice(text, seconds = 3) {
+  notice.display(text, seconds, () => screen.render());
+  screen.render();
+}
+
+function selectedModelRow() {
+  const row = currentModelData[runningModelsList.rows.selected];
+  return row && row.model ? row : null;
+}
+
+async function unloadSelected() {
+  const row = selectedModelRow();
+  if (!row) return;
+  if (!row.isLoaded) {
+    showNotice(`${row.model} is not loaded`);
+    return;
+  }
+
+  const ok = await confirm(`Unload {bold}${row.model}{/bold} from ${hostLabel(row.host)}? [y/n]`);
+  if (!ok) return;
+
+  try {
+    await unloadModel({ host: row.host, model: row.model });
+    showNotice(`Unloaded ${row.model}`);
+  } catch (error) {
+    showNotice(`{red-fg}Unload failed:{/} ${error.message}`, 5);
+  }
+}
+
+// keep_alive values Ollama accepts: a duration string, or a negative number
+// to keep the model resident until it is explicitly unloaded.
+const KEEP_ALIVE_CHOICES = [
+  ['5 minutes (Ollama default)', '5m'],
+  ['30 minutes', '30m'],
+  ['1 hour', '1h'],
+  ['4 hours', '4h'],
+  ['until unloaded', -1]
+];
+
+async function loadSelected() {
+  const row = selectedModelRow();
+  if (!row) return;
+  const key = actionKey(row.host, row.model);
+  if (row.isLoaded || loading.has(key)) {
+    // A warm model answers at once, which would record a meaningless time.
+    showNotice(`${row.model} is already loaded; unload it first to time a cold start`);
+    return;
+  }
+
+  const choice = await choose(`Keep ${row.model} loaded for`, KEEP_ALIVE_CHOICES.map(([label]) => label));
+  if (choice === null) return;
+
+  loading.add(key);
+  refreshModelRows();
+  try {
+    const timing = await loadModel({ host: row.host, model: row.model, keepAlive: KEEP_ALIVE_CHOICES[choice][1] });
+    loadTimes.set(key, timing);
+    showNotice(
+      `Loaded ${row.model} in ${formatDuration(timing.wallMs)}` +
+      (timing.loadMs === null ? '' : ` (Ollama load_duration ${formatDuration(timing.loadMs)})`),
+      5
+    );
+  } catch (error) {
+    showNotice(`{red-fg}Load failed:{/} ${error.message}`, 5);
+  } finally {
+    loading.delete(key);
+    refreshModelRows();
+  }
+}
+
+// One line for the overall status, then one per layer. Layers are the blobs of
+// the model (weights, template, license...), so most finish at once and the
+// weights layer is the one worth watching.
+export function pullLines(progress, barWidth = 24) {
+  const lines = [progress.status];
+  for (const layer of progress.layers) {
+    const pct = layer.total ? (layer.completed / layer.total) * 100 : 0;
+    const rate = layer.rate === null ? '-' : `${formatSize(Math.round(layer.rate))}/s`;
+    lines.push(
+      `${layer.digest.replace(/^sha256:/, '').substring(0, 12)}  ${formatBar(pct, barWidth)} ` +
+      `${formatPct(pct).padStart(4)}  ${formatSize(layer.completed)}/${formatSize(layer.total)}  ` +
+      `${rate}  ETA ${formatDuration(layer.etaMs)}`
+    );
+  }
+  return lines;
+}
+
+// Resolves with the entered text, or null if the prompt was dismissed.
+function ask(text, value = '') {
+  openDialog();
+  return new Promise((resolve) => {
+    textInput.input(text, value, (err, entered) => {
+      closeDialog();
+      resolve(err || !entered ? null : entered.trim() || null);
+    });
+    screen.render();
+  });
+}
+
+// Pulls onto the host of the selected row, so with several hosts the cursor
+// picks where the model lands. The popup stays up until the pull ends; Escape
+// cancels it.
+async function pullPrompt() {
+  const host = currentModelData[runningModelsList.rows.selected]?.host ?? lastSnapshot?.ollama?.host;
+  if (!host) return;
+
+  const model = await ask(`Pull which model onto ${hostLabel(host)}?`);
+  if (!model) return;
+
+  const tracker = createPullTracker();
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  const draw = () => {
+    pullBox.setContent(`${pullLines(tracker.progress()).join('\n')}\n\n{gray-fg}Esc cancels{/}`);
+    screen.render();
+  };
+  // Pull events arrive many times a second; repainting on a timer keeps a fast
+  // download from monopolising the terminal.
+  const redraw = setInterval(draw, 250);
+
+  pulling = model;
+  pullBox.setLabel(` Pulling ${model} `);
+  pullBox.key('escape', cancel);
+  screen.saveFocus();
+  pullBox.show();
+  pullBox.focus();
+  draw();
+
+  try {
+    await pullModel({ host, model, signal: controller.signal, onEvent: (event) => tracker.update(event) });
+    showNotice(`Pulled ${model}`);
+  } catch (error) {
+    showNotice(
+      controller.signal.aborted ? `Cancelled pulling ${model}` : `{red-fg}Pull failed:{/} ${error.message}`,
+      5
+    );
+  } finally {
+    clearInterval(redraw);
+    pullBox.unkey('escape', cancel);
+    pullBox.hide();
+    screen.restoreFocus();
+    pulling = null;
+    // After a cancel or failure the list just comes back unchanged.
+    refreshDisk();
+  }
+}
+
+// Shows a change to a host's model store now rather than after the next
+// static tier.
+function refreshDisk() {
+  collect.refreshDisk?.();
+  updateAll();
+}
+
+function hostState(host) {
+  return lastSnapshot?.ollamaHosts?.find((state) => state.host === host) ?? null;
+}
+
+async function deleteSelected() {
+  const row = selectedModelRow();
+  if (!row) return;
+  const disk = hostState(row.host)?.disk ?? [];
+  if (!disk.some((m) => m.name === row.model)) {
+    showNotice(`${row.model} is not on ${hostLabel(row.host)}'s disk`);
+    return;
+  }
+
+  // Ollama deletes a loaded model's files without stopping its runner, which
+  // keeps serving from memory until it expires; say so before going ahead.
+  const warning = row.isLoaded ? '{red-fg}It is loaded and will keep running until it unloads.{/}\n' : '';
+  const ok = await confirm(`${warning}Delete {bold}${row.model}{/bold} from ${hostLabel(row.host)}? [y/n]`);
+  if (!ok) return;
+
+  const reclaimed = reclaimedBytes(disk, row.model);
+  try {
+    await deleteModel({ host: row.host, model: row.model });
+    showNotice(
+      reclaimed
+        ? `Deleted ${row.model}, reclaimed up to ${formatSize(reclaimed)}`
+        : `Deleted ${row.model}; its data is shared with another tag, so no space was reclaimed`,
+      5
+    );
+    refreshDisk();
+  } catch (error) {
+    showNotice(`{red-fg}Delete failed:{/} ${error.message}`, 5);
+  }
+}
+
+async function copySelected() {
+  const row = selectedModelRow();
+  if (!row) return;
+
+  const destination = await ask(`Copy ${row.model} to which name?`, row.model);
+  if (!destination || destination === row.model) return;
+
+  const exists = (hostState(row.host)?.disk ?? []).some((m) => m.name === destination);
+  const ok = await confirm(
+    `${exists ? `{red-fg}${destination} exists and will be replaced.{/}\n` : ''}` +
+    `Copy {bold}${row.model}{/bold} to {bold}${destination}{/bold} on ${hostLabel(row.host)}? [y/n]`
+  );
+  if (!ok) return;
+
+  try {
+    await copyModel({ host: row.host, source: row.model, destination });
+    showNotice(`Copied ${row.model} to ${destination}`);
+    refreshDisk();
+  } catch (error) {
+    showNotice(`{red-fg}Copy failed:{/} ${error.message}`, 5);
+  }
+}
+
+// The detail pane's text. Everything from Ollama is escaped: templates are Go
+// templates, full of braces blessed would otherwise read as tags.
+export function modelDetailText(details) {
+  const fact = (label, value) => `{bold}${label.padEnd(14)}{/bold}${blessed.escape(String(value ?? '-'))}`;
+  const section = (title, body) =>
+    `{bold}${title}{/bold}\n${body ? blessed.escape(body.trimEnd()) : '{gray-fg}none{/}'}`;
+
+  const params = details.parameterCount === null
+    ? details.parameterSize
+    : `${details.parameterSize ?? '-'} (${details.parameterCount.toLocaleString('en-US')})`;
+
+  return [
+    fact('Family', details.family),
+    fact('Parameters', params),
+    fact('Quantization', details.quant),
+    fact('Context', details.contextLength === null ? null : `${details.contextLength} tokens`),
+    fact('Capabilities', details.capabilities.join(', ') || null),
+    '',
+    section('System prompt', details.system),
+    '',
+    section('Template', details.template),
+    '',
+    section('Parameters', details.parameters),
+    '',
+    section('License', details.license),
+    '',
+    section('Modelfile', details.modelfile)
+  ].join('\n');
+}
+
+const showCached = createShowCache();
+let detailRequest = 0;
+
+// Opens on Enter over a model row. Esc, q or Enter close it; the arrows and
+// j/k scroll.
+async function showSelectedDetails() {
+  const row = selectedModelRow();
+  if (!row) return;
+
+  const request = ++detailRequest;
+  openDialog();
+  detailBox.setLabel(` ${row.model} `);
+  detailBox.setContent('Loading…');
+  detailBox.scrollTo(0);
+  screen.saveFocus();
+  detailBox.show();
+  detailBox.focus();
+  screen.render();
+
+  try {
+    const details = await showCached({ host: row.host, model: row.model, digest: row.id });
+    // The pane may have been closed, or reopened on another model, meanwhile.
+    if (request !== detailRequest || detailBox.hidden) return;
+    detailBox.setContent(modelDetailText(details));
+  } catch (error) {
+    if (request !== detailRequest || detailBox.hidden) return;
+    detailBox.setContent(`{red-fg}Could not read ${row.model}:{/} ${blessed.escape(error.message)}`);
+  }
+  screen.render();
+}
+
+function closeDetails() {
+  if (detailBox.hidden) return;
+  detailBox.hide();
+  screen.restoreFocus();
+  closeDialog();
+  screen.render();
+}
+
+// Repaints the models table from the last snapshot, for action state that
+// changes between ticks.
+function refreshModelRows() {
+  if (!lastSnapshot) return;
+  currentModelData = buildModelRows(lastSnapshot, { loading, loadTimes });
+  updateModelsList();
+  screen.render();
+}
+
+// --- MAIN EXECUTION ---
+// Live mode polls the collector on a 1s tick; replay mode hands control to the
+// player, which pushes recorded frames on their own cadence.
+export function runTui({ collect: source, player: replay = null, alerts = {}, config = DEFAULT_CONFIG } = {}) {
+  player = replay;
+  settings = config;
+  collect = player ? null : source ?? createCollector();
+  engineHistory = collect?.engineHistory ?? createEngineHistory(settings.historyLength);
+  ownEngineHistory = !collect?.engineHistory;
+  cpuHistoryData = historySeries('CPU', settings.colors.cpu);
+  usedMemoryHistoryData = historySeries('Used (MB)', settings.colors.memoryUsed);
+  freeMemoryHistoryData = historySeries('Free (MB)', settings.colors.memoryFree);
+  alertMonitor = createAlertMonitor({ rules: createAlertRules(settings.alerts) });
+  alertSinks = createAlertSinks({
+    ...alerts,
+    onError: (error) => console.error(`Alert sink err: ${error.message.split('\n')[0]}`)
+  });
+  buildLayout();
+  // The models table takes the arrow keys so its cursor picks the row that
+  // actions apply to.
+  runningModelsList.focus();
+
+  let updateInterval = null;
+
+  screen.key(['escape', 'q', 'C-c'], (ch, key) => {
+    if (dialogOpen() && key.full !== 'C-c') return;
+    clearInterval(updateInterval);
+    player?.stop();
+    screen.destroy();
+    console.log('\ntopollama stopped.');
+    process.exit(0);
+  });
+
+  // Engine history is there in replay too, so its keys are bound for both.
+  screen.key(['tab'], () => {
+    if (!dialogOpen()) switchTable();
+  });
+  enginesList.rows.on('select', () => {
+    if (!dialogOpen()) showEngineCharts();
+  });
+  engineBox.key(['escape', 'q', 'enter'], closeEngineCharts);
+  screen.key(['s'], () => {
+    if (!dialogOpen() && screen.focused === enginesList.rows) showSlots();
+  });
+  slotsBox.key(['escape', 'q', 'enter'], closeSlots);
+  screen.key(['i'], () => {
+    if (!dialogOpen() && screen.focused === enginesList.rows) showLaunch();
+  });
+  launchBox.key(['escape', 'q', 'enter'], closeLaunch);
+
+  if (player) {
+    bindReplayKeys();
+    console.log('topollama replaying... space pauses, . steps, +/- change speed, q quits.');
+    player.start(render);
+  } else {
+    screen.key(['r'], () => {
+      console.log('Manual refresh triggered...');
+      updateAll();
+    });
+
+    screen.key(['u'], () => {
+      if (!dialogOpen()) unloadSelected();
+    });
+
+    screen.key(['l'], () => {
+      if (!dialogOpen()) loadSelected();
+    });
+
+    screen.key(['p'], () => {
+      if (!dialogOpen()) pullPrompt();
+    });
+
+    screen.key(['d'], () => {
+      if (!dialogOpen()) deleteSelected();
+    });
+
+    screen.key(['c'], () => {
+      if (!dialogOpen()) copySelected();
+    });
+
+    // Enter on a row is the table's own 'select', not a screen key.
+    runningModelsList.rows.on('select', () => {
+      if (!dialogOpen()) showSelectedDetails();
+    });
+    detailBox.key(['escape', 'q', 'enter'], closeDetails);
+
+    console.log('topollama starting... Press q to quit, r to refresh, Enter for model details, l/u/d/c to load/unload/delete/copy the selected model, p to pull, Tab then Enter for engine charts, s for slots or i for launch flags.');
+    updateAll();
+    // Fast tier is ~46ms of work, so a 1s tick gives the charts real resolution
+    // while HTTP polls and static info ride their own slower gates in the collector.
+    updateInterval = setInterval(updateAll, settings.tickMs);
+  }
+
+  screen.on('resize', () => {
+    runningModelsList.emit('attach');
+    headerBox.emit('attach');
+    enginesList.emit('attach');
+    requestsList.emit('attach');
+    cpuChart.emit('attach');
+    memoryChart.emit('attach');
+    screen.render();
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error(`Unhandled Rejection at:', ${promise}, 'reason:', ${reason}`);
+  });
+
+  screen.render();
+}
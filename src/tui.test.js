@@ -0,0 +1,256 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { readRecording } from './replay.js';
+import { normalizeShow } from './collect/engines/ollama.js';
+import {
+  buildModelRows,
+  buildRequestRows,
+  buildEngineRows,
+  engineChartSeries,
+  slotsText,
+  launchText,
+  pullLines,
+  modelDetailText,
+  shownColumns,
+  fitColumns
+} from './tui.js';
+import { COLUMNS } from './config.js';
+import { createEngineHistory } from './collect/history.js';
+
+// A recorded session where llama3.1:8b gets partly pushed off the GPU on the
+// last frame; the UI rows are checked against it without a live machine.
+const frames = readRecording(fileURLToPath(new URL('./__fixtures__/session.ndjson', import.meta.url)));
+
+test('lists every disk model with live figures for the loaded one', () => {
+  const rows = buildModelRows(frames[0]);
+  assert.deepEqual(rows.map((r) => r.name), ['llama3.1:8b', 'qwen3:0.6b']);
+  assert.equal(rows[0].vram, '6.0 GB');
+  assert.equal(rows[1].loaded, '-');
+});
+
+test('shows the placement drop when a model spills off the GPU', () => {
+  assert.equal(buildModelRows(frames[1])[0].onGpu, '100%');
+  assert.equal(buildModelRows(frames[2])[0].onGpu, '60%');
+});
+
+test('groups rows under a heading per host when several are polled', () => {
+  const remote = {
+    up: false,
+    host: 'http://box2:11434',
+    error: 'fetch failed',
+    loaded: [],
+    disk: [{ name: 'mistral:7b', id: 'f974a74358', diskBytes: 4_100_000_000 }]
+  };
+  const rows = buildModelRows({ ...frames[0], ollamaHosts: [frames[0].ollama, remote] });
+
+  assert.deepEqual(rows.map((r) => r.name), [
+    '▾ 127.0.0.1:11434',
+    '  llama3.1:8b',
+    '  qwen3:0.6b',
+    '▾ box2:11434',
+    '  mistral:7b'
+  ]);
+  assert.equal(rows[0].id, '1 loaded');
+  assert.equal(rows[3].id, 'DOWN');
+  assert.equal(rows[3].model, null);
+  assert.equal(rows[4].host, 'http://box2:11434');
+});
+
+test('counts down to the keep-alive expiry, or says forever', () => {
+  assert.equal(buildModelRows(frames[0])[0].unloadsIn, '1h05m');
+  assert.equal(buildModelRows(frames[0])[1].unloadsIn, '-');
+
+  const pinned = structuredClone(frames[0]);
+  pinned.ollama.loaded[0].expiresAt = '2318-01-27T11:47:16.854775807+01:00';
+  assert.equal(buildModelRows(pinned)[0].unloadsIn, 'forever');
+});
+
+test('shows residency and evictions from the load history', () => {
+  const snapshot = structuredClone(frames[0]);
+  snapshot.ollama.residency = [
+    { name: 'llama3.1:8b', resident: true, loads: 0, unloads: 0, evictions: 0, loadedAt: snapshot.t - 600_000, unloadedAt: null, residentMs: 600_000, sinceStart: true },
+    { name: 'qwen3:0.6b', resident: false, loads: 3, unloads: 3, evictions: 2, loadedAt: snapshot.t - 90_000, unloadedAt: snapshot.t - 30_000, residentMs: 60_000, sinceStart: false }
+  ];
+  const [llama, qwen] = buildModelRows(snapshot);
+
+  assert.deepEqual([llama.lastLoad, llama.resident, llama.evictions], ['earlier', '>10m00s', '0']);
+  assert.deepEqual([qwen.resident, qwen.evictions], ['1m00s', '2']);
+  // Recordings made before the history existed just show dashes.
+  assert.equal(buildModelRows(frames[0])[0].resident, '-');
+});
+
+test('marks a model as loading while its load request is in flight', () => {
+  const actions = { loading: new Set(['http://127.0.0.1:11434 qwen3:0.6b']), loadTimes: new Map() };
+  assert.equal(buildModelRows(frames[0], actions)[1].loaded, 'loading…');
+});
+
+test('shows the measured wall-clock and Ollama load durations', () => {
+  const actions = {
+    loading: new Set(),
+    loadTimes: new Map([['http://127.0.0.1:11434 qwen3:0.6b', { wallMs: 4120, loadMs: 3810 }]])
+  };
+  const rows = buildModelRows(frames[0], actions);
+  assert.equal(rows[1].load, '4.1s/3.8s');
+  assert.equal(rows[0].load, '-');
+});
+
+test('draws a progress line per pull layer', () => {
+  const lines = pullLines({
+    status: 'pulling 6a0746a1ec1a',
+    done: false,
+    layers: [
+      { digest: 'sha256:6a0746a1ec1aef3e', total: 4_000_000_000, completed: 1_000_000_000, rate: 50_000_000, etaMs: 60_000 },
+      { digest: 'sha256:4fa551d4f938f68b', total: 12_000, completed: 0, rate: null, etaMs: null }
+    ]
+  }, 8);
+
+  assert.deepEqual(lines, [
+    'pulling 6a0746a1ec1a',
+    '6a0746a1ec1a  ██░░░░░░  25%  1.0 GB/4.0 GB  50.0 MB/s  ETA 1m00s',
+    '4fa551d4f938  ░░░░░░░░   0%  0 B/12.0 KB  -  ETA -'
+  ]);
+});
+
+test('lays out model details with Ollama\'s text escaped from blessed tags', () => {
+  const show = JSON.parse(readFileSync(fileURLToPath(new URL('./collect/__fixtures__/ollama-show.json', import.meta.url)), 'utf8'));
+  const text = modelDetailText(normalizeShow(show));
+
+  const lines = text.split('\n');
+  assert.equal(lines[1], '{bold}Parameters    {/bold}751.63M (751,632,384)');
+  assert.equal(lines[3], '{bold}Context       {/bold}40960 tokens');
+  assert.match(text, /\{open\}\{open\}- if \.System \{close\}\{close\}/);
+  assert.doesNotMatch(text, /\{\{/);
+});
+
+test('lists proxied requests with their token counts and timings', () => {
+  const snapshot = {
+    ...frames[0],
+    proxy: {
+      listen: ':11435',
+      upstream: 'http://127.0.0.1:11434',
+      models: [],
+      recent: [
+        { t: frames[0].t, endpoint: '/v1/chat/completions', model: 'qwen3:0.6b', status: 200, outcome: 'ok', promptTokens: 31_800, evalTokens: 40, ttftMs: 300, latencyMs: 2400 },
+        { t: frames[0].t, endpoint: '/api/generate', model: 'llama3.1:8b', status: 200, outcome: 'cancelled', promptTokens: null, evalTokens: null, ttftMs: null, latencyMs: 950 }
+      ]
+    }
+  };
+  const rows = buildRequestRows(snapshot);
+
+  assert.deepEqual(rows[0].slice(1), ['v1/chat', 'qwen3:0.6b', '32k', '40', '300ms', '2.4s', '200']);
+  assert.deepEqual(rows[1].slice(1), ['generate', 'llama3.1:8', '-', '-', '-', '950ms', 'cxl']);
+  assert.deepEqual(buildRequestRows(frames[0]), []);
+});
+
+test('draws each engine\'s CPU trend from its own history', () => {
+  const history = createEngineHistory(60);
+  for (const frame of frames) history.record(frame);
+  const rows = buildEngineRows(frames.at(-1), history);
+
+  assert.equal(rows[0].key, 9011);
+  assert.equal(rows[0].cells[5].length, 6);
+  assert.equal(rows[0].cells[5].trim().length, Math.min(frames.length, 6));
+  // An engine first seen now has no trend yet.
+  assert.equal(buildEngineRows(frames.at(-1), createEngineHistory(60))[0].cells[5].trim(), '');
+});
+
+test('shows a vLLM server\'s running requests and KV cache use', () => {
+  const vllm = {
+    kind: 'vllm',
+    pid: 4410,
+    port: 8010,
+    model: 'Qwen/Qwen2.5-7B-Instruct',
+    cpu: 12,
+    rssBytes: 1_800_000_000,
+    telemetry: {
+      up: true,
+      props: null,
+      slots: { total: null, processing: 3, nCtx: 32768 },
+      metrics: { predictedTps: 200, kvCacheUsage: 0.4137 }
+    }
+  };
+  const [row] = buildEngineRows({ ...frames[0], engines: [vllm] }, createEngineHistory(60));
+  assert.deepEqual(row.cells.slice(6), ['1.8 GB', '200.0', '3', '41%']);
+  assert.equal(buildEngineRows(frames[0], createEngineHistory(60))[0].cells[9], '-');
+});
+
+test('lists every slot with its context fill, prompt progress and sampling settings', () => {
+  const slot = {
+    id: 1, task: 812, processing: true, nCtx: 4096, nPast: 3072, decoded: 420, promptTokens: 2652,
+    promptProcessed: 2652, promptCached: 2048, speculative: true, draftMax: 16, temperature: 0.7, topP: 0.95, nPredict: -1
+  };
+  const lines = slotsText({ kind: 'llama-server', telemetry: { slotDetails: [slot] } }).split('\n');
+
+  assert.match(lines[0], /^\{bold\} ID {2}\s+TASK {2}STATE/);
+  assert.equal(
+    lines[1],
+    '  1     812  {green-fg}busy {/}  ████████░░    3072/4096   75%      420    2652/2652    2048  on ≤16   0.70   0.95       ∞'
+  );
+});
+
+test('explains why an engine has no slots to show', () => {
+  assert.match(slotsText({ kind: 'vllm', telemetry: { slotDetails: null } }), /without slots/);
+  assert.match(slotsText({ kind: 'ollama', telemetry: null }), /--no-slots/);
+  assert.match(slotsText(undefined), /exited/);
+});
+
+test('lists launch flags with defaults for those not passed, then the checks', () => {
+  const launch = {
+    model: '/models/qwen.gguf', host: null, port: 8081, ctxSize: 8192, gpuLayers: 0, threads: null, parallel: 1,
+    flashAttn: 'on', cacheTypeK: 'q8_0', cacheTypeV: null, mlock: false, ropeScaling: null, ropeScale: null,
+    ropeFreqBase: null, ropeFreqScale: null, lora: [], mmproj: null, apiKey: true
+  };
+  const text = launchText({ kind: 'llama-server', port: 8081, gpuDevices: null, launch, telemetry: null }, [{ index: 0 }]);
+
+  assert.match(text, /\{bold\}Listen {8}\{\/bold\}127\.0\.0\.1:8081/);
+  assert.match(text, /\{bold\}Threads {7}\{\/bold\}\{gray-fg\}default\{\/\}/);
+  assert.match(text, /KV cache {6}\{\/bold\}K q8_0, V f16/);
+  assert.match(text, /API key {7}\{\/bold\}required/);
+  assert.match(text, /\{yellow-fg\}! -ngl 0 keeps every layer on the CPU/);
+  assert.match(text, /\{gray-fg\}· the server is not answering/);
+});
+
+test('explains why an engine has no launch flags to show', () => {
+  assert.match(launchText({ kind: 'vllm', launch: null }), /vllm isn't started with llama\.cpp's flags/);
+  assert.match(launchText({ kind: 'llama-server', endpoint: 'http://gpu-box:8080', launch: null }), /isn't on this machine/);
+  assert.match(launchText(undefined), /exited/);
+});
+
+test('charts RSS in MB and flags figures the engine never reported', () => {
+  const samples = [
+    { t: frames[0].t, cpu: 12, rssBytes: 512 * 1024 * 1024, tokensPerSec: null, slotsBusy: 1 },
+    { t: frames[1].t, cpu: 80, rssBytes: 768 * 1024 * 1024, tokensPerSec: null, slotsBusy: null }
+  ];
+  const [cpu, rss, tps, slots] = engineChartSeries(samples);
+
+  assert.deepEqual(cpu.y, [12, 80]);
+  assert.deepEqual([rss.label, rss.y], ['RSS (MB)', [512, 768]]);
+  assert.equal(tps.label, 'Tokens/s — not reported');
+  assert.deepEqual([slots.label, slots.y], ['Slots busy', [1, 0]]);
+});
+
+test('has a header and width for every column the config can name', () => {
+  for (const [table, ids] of Object.entries(COLUMNS)) {
+    const columns = shownColumns(table, ids);
+    assert.deepEqual(columns.map((column) => column.index), ids.map((_, i) => i), table);
+    assert.ok(columns.every((column) => column.header && column.width > 0), table);
+  }
+});
+
+test('picks configured columns in the configured order', () => {
+  const columns = shownColumns('requests', ['model', 'ttft', 'time']);
+  assert.deepEqual(columns.map((column) => [column.header, column.index]), [['Model', 2], ['TTFT', 5], ['TIME', 0]]);
+});
+
+test('hides the least useful columns when a table is too narrow for all of them', () => {
+  const engines = shownColumns('engines', COLUMNS.engines);
+  const ids = (width) => fitColumns(engines, width, 1, ['trend', 'port', 'kv']).map((column) => column.id);
+
+  assert.deepEqual(ids(200), COLUMNS.engines);
+  assert.deepEqual(ids(67), ['engine', 'pid', 'model', 'cpu', 'ram', 'tok/s', 'slots', 'kv']);
+  // Columns not named as droppable stay, even if the row then clips.
+  assert.deepEqual(ids(10), ['engine', 'pid', 'model', 'cpu', 'ram', 'tok/s', 'slots']);
+});